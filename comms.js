@@ -10,14 +10,22 @@
  * type:	event type, from the COMMS_EVENT_TYPE enum
  * message:	optional text message
  * data:	optional data for binary messages
+ * command:	for responses, the command of the request 
+ *			(@see Connection.prototype.request)
+ * error:	for error events, the error (@see CommsError)
  * 
- * requires serialport, events, and NDEF library (local file,
- * not the npm package with that name).  
+ * each board is a Connection, with its own events emitter.
+ * the module methods use a default connection.
+ *
+ * requires events, the transport library and NDEF library (local 
+ * file, not the npm package with that name).  serialport is
+ * required for serial transports.
  */
 
-var SerialPort = require("serialport"),
+var transport = require("./transport.js"),
 	NDEF = require("./ndef.js"),
-	events = require("events");
+	events = require("events"),
+	fs = require("fs");
 
 // --- types -------------------------------------------------
 
@@ -63,6 +71,7 @@ var COMMS_EVENT_TYPE =
     NDEF_MESSAGE:	16,
     INTERRUPT:		32,
     ACK:			64,
+    VERSION:		128,
     
     LAST: 0
 };
@@ -135,69 +144,439 @@ var COMMS_COMMAND =
     LAST_VALUE: 0
 };
 
+/**
+ * error codes sent by the board with an ERR response.  
+ * see http://sftoolworks.com/nfc/reference.html#errorcodes
+ */
+var COMMS_ERROR_CODE = 
+{
+	NONE:				0x00,
+	UNKNOWN_COMMAND:	0x01,
+	INVALID_LENGTH:		0x02,
+	MESSAGE_TOO_LONG:	0x03,
+	NVM_WRITE_FAILED:	0x04,
+	NFC_ERROR:			0x05,
+
+	LAST: 0
+};
+
+/**
+ * user prefs, as bits in the GET_USER_PREFS response
+ */
+var PREF_BITS =
+{
+	readOnly:		0x01,
+	autoReload:		0x02,
+	autoRfEnable:	0x04,
+	txOnWrite:		0x08
+};
+
+/**
+ * commands to set each pref: [ off, on ]
+ */
+var PREF_COMMANDS =
+{
+	readOnly:		[ COMMS_COMMAND.READWRITE, COMMS_COMMAND.READONLY ],
+	autoReload:		[ COMMS_COMMAND.AUTO_RELOAD_MESSAGE_OFF, COMMS_COMMAND.AUTO_RELOAD_MESSAGE_ON ],
+	autoRfEnable:	[ COMMS_COMMAND.AUTO_RF_ENABLE_OFF, COMMS_COMMAND.AUTO_RF_ENABLE_ON ],
+	txOnWrite:		[ COMMS_COMMAND.TX_MESSAGE_ON_WRITE_OFF, COMMS_COMMAND.TX_MESSAGE_ON_WRITE_ON ]
+};
+
 // --- fields ------------------------------------------------
 
-var port = null;
-var state = COMMS_STATE.NULL;
+/** default time to wait for a response to a request, in ms */
+var REQUEST_TIMEOUT = 2000;
 
-var inbound = [];
-var inboundCount = 0;
-var inboundResponse = 0;
+/** 
+ * default inbound frame limits: the longest gap between bytes 
+ * of a frame, in ms, and the longest message (the board's
+ * message buffer)
+ */
+var FRAME_TIMEOUT = 500;
+var MAX_FRAME_LENGTH = 2048;
 
-function Events(){}
-Events.prototype = new events.EventEmitter();
-var events = new Events();	
+/** default reconnect delays, in ms.  delay doubles on each attempt */
+var RECONNECT_MIN_DELAY = 500;
+var RECONNECT_MAX_DELAY = 30000;
 
-// --- methods -----------------------------------------------
+// --- errors ------------------------------------------------
 
+/**
+ * descriptions for board error codes
+ */
+var BOARD_ERROR_DESCRIPTION = {};
+BOARD_ERROR_DESCRIPTION[ COMMS_ERROR_CODE.NONE ] = "No error";
+BOARD_ERROR_DESCRIPTION[ COMMS_ERROR_CODE.UNKNOWN_COMMAND ] = "The board doesn't know this command";
+BOARD_ERROR_DESCRIPTION[ COMMS_ERROR_CODE.INVALID_LENGTH ] = "Invalid length for the command data";
+BOARD_ERROR_DESCRIPTION[ COMMS_ERROR_CODE.MESSAGE_TOO_LONG ] = "Message is too long for the board";
+BOARD_ERROR_DESCRIPTION[ COMMS_ERROR_CODE.NVM_WRITE_FAILED ] = "Writing the message to flash (NVM) failed";
+BOARD_ERROR_DESCRIPTION[ COMMS_ERROR_CODE.NFC_ERROR ] = "NFC transceiver error";
 
 /**
- * close serial port. 
+ * set up an error object; for the error classes below
+ */
+function initerror( err, name, message, command )
+{
+	Error.call( err );
+	err.name = name;
+	err.message = message;
+	err.command = command;
+	if( Error.captureStackTrace ) Error.captureStackTrace( err, err.constructor );
+	else err.stack = ( new Error( message )).stack;
+};
+
+/**
+ * make cls a subclass of parent
+ */
+function inherits( cls, parent )
+{
+	cls.prototype = Object.create( parent.prototype );
+	cls.prototype.constructor = cls;
+};
+
+/**
+ * base class for comms errors.  all of these have the command
+ * that was sent (if any) as command, and are passed to request
+ * callbacks (or promise rejections) and sent as error events.
+ *
+ * CommsError
+ *   TransportError		port errors, not connected, closed
+ *     TimeoutError		no response to a request
+ *   FramingError		bad or unexpected data from the board
+ *   BoardError			ERR response, with the board's error code
+ *   NDEFParseError		a message from the board that doesn't parse
+ *   VerifyError		message read back doesn't match
+ */
+function CommsError( message, command )
+{
+	initerror( this, "CommsError", message, command );
+};
+inherits( CommsError, Error );
+
+/**
+ * transport error.  cause is the underlying error, if any.
+ */
+function TransportError( message, command, cause )
+{
+	initerror( this, "TransportError", message, command );
+	this.cause = cause;
+};
+inherits( TransportError, CommsError );
+
+/**
+ * no response to a request in time (ms)
+ */
+function TimeoutError( command, timeout )
+{
+	initerror( this, "TimeoutError", "Timeout waiting for response", command );
+	this.timeout = timeout;
+};
+inherits( TimeoutError, TransportError );
+
+/**
+ * framing error.  bytes are the bytes involved, if any.
+ */
+function FramingError( message, command, bytes )
+{
+	initerror( this, "FramingError", message, command );
+	this.bytes = bytes;
+};
+inherits( FramingError, CommsError );
+
+/**
+ * error reported by the board.  code is the board's error code
+ * (COMMS_ERROR_CODE); codeName and description are decoded.
+ */
+function BoardError( code, command )
+{
+	this.code = code;
+	this.codeName = "UNKNOWN";
+	for( var key in COMMS_ERROR_CODE ) 
+		if( COMMS_ERROR_CODE[key] === code && key != "LAST" ) this.codeName = key;
+	this.description = BOARD_ERROR_DESCRIPTION[code] || "Unknown error code";
+
+	initerror( this, "BoardError", "Board error 0x" + ( code < 0x10 ? "0" : "" ) + code.toString( 16 ) 
+		+ " (" + this.codeName + "): " + this.description, command );
+};
+inherits( BoardError, CommsError );
+
+/**
+ * message that doesn't parse.  cause is the error from the 
+ * NDEF library; bytes are the message.
+ */
+function NDEFParseError( cause, bytes, command )
+{
+	initerror( this, "NDEFParseError", "Message read error: " + ( cause && cause.message || cause ), command );
+	this.cause = cause;
+	this.bytes = bytes;
+};
+inherits( NDEFParseError, CommsError );
+
+/**
+ * message read back after a write doesn't match.  diff is 
+ * the difference, @see diffBytes
+ */
+function VerifyError( message, command, diff )
+{
+	initerror( this, "VerifyError", message, command );
+	this.diff = diff;
+};
+inherits( VerifyError, CommsError );
+
+/**
+ * error event for an error
+ */
+function errorevent( err )
+{
+	var evt = { message: err.message, error: err, command: err.command, type: COMMS_EVENT_TYPE.ERROR };
+	if( err instanceof BoardError ) evt.data = err.code;
+	if( err.bytes ) evt.bytes = err.bytes;
+	return evt;
+};
+
+// --- connection --------------------------------------------
+
+/**
+ * a connection to one board.  each connection has its own
+ * port, inbound parser state, request queue and event 
+ * emitter, so one process can talk to several boards.
+ *
+ * the module-level methods (connect, send, events, &c)
+ * use a default connection, for the single-board case.
+ */
+function Connection()
+{
+	this.port = null;
+	this.path = null;
+	this.pnpId = null;
+	this.state = COMMS_STATE.NULL;
+
+	this.inbound = [];
+	this.inboundCount = 0;
+	this.inboundResponse = 0;
+
+	// raw bytes of the frame in progress, from the response code
+	this.frame = [];
+	this.frameTimer = null;
+	this.frameTimeout = FRAME_TIMEOUT;
+	this.maxFrameLength = MAX_FRAME_LENGTH;
+
+	// inbound counters.  dropped frames are frames we gave up on 
+	// (too long, or incomplete); garbage is anything between frames
+	// that isn't a response code or text
+	this.stats = { frames: 0, droppedFrames: 0, droppedBytes: 0, garbageBytes: 0, frameTimeouts: 0 };
+
+	// wire trace, @see startTrace
+	this.traceFile = null;
+	this.traceStart = 0;
+
+	this.requests = [];
+	this.currentRequest = null;
+
+	this.target = null;
+	this.reconnect = null;
+	this.reconnecting = false;
+	this.reconnectDelay = 0;
+	this.reconnectTimer = null;
+	this.closing = false;
+
+	this.events = new events.EventEmitter();
+};
+
+/**
+ * send an event to listeners
+ */
+Connection.prototype.emit = function( evt )
+{
+	this.events.emit( 'comms-event', evt );
+};
+
+/**
+ * true if the port is open
+ */
+Connection.prototype.connected = function()
+{
+	return ( null != this.port );
+};
+
+/**
+ * close serial port.  this also stops any reconnect.
  */ 
-function disconnect()
+Connection.prototype.disconnect = function()
 {
-    port.close();
+	clearTimeout( this.reconnectTimer );
+	this.reconnectTimer = null;
+	this.reconnecting = false;
+
+	if( null != this.port ) 
+	{
+		this.closing = true;
+		this.port.close();
+	}
 };
 	
 /**
  * open serial port.  if you pass a port name, it will
- * use that port.  if not, it will attempt to locate the
- * board via the VID/PID or the bus description (the call
- * that serialport uses on different platforms returns
- * different information).
+ * use that port.  if not, it will use the first board
+ * found by findPorts.  names like tcp://host:port open
+ * a TCP connection instead; you can also pass any 
+ * transport object (@see transport.js).
+ *
+ * options:
+ *
+ * reconnect:	if true, when the port closes (or the board 
+ *				is not found), keep trying to open it.  a 
+ *				board found by autodiscovery is matched by 
+ *				pnpId, so it's found again on a new port name.
+ *				transport objects can't be reopened.
+ * minDelay:	first retry delay, in ms; doubles on each retry
+ * maxDelay:	longest retry delay, in ms
+ * setup:		sent after reconnecting.  either an array of 
+ *				commands (as for request), or a function
+ *				called as setup( connection, callback ).
+ * frameTimeout: longest gap between the bytes of a frame, in ms;
+ *				after that the partial frame is dropped
+ * maxFrameLength: longest message frame accepted
+ * trace:		path of a wire trace file (@see startTrace)
  *
  * @param use_port - override location, and just use the named port
+ * @param options - optional, see above
  */
-function connect( use_port )
+Connection.prototype.connect = function( use_port, options )
 {
-	if( use_port )
+	options = options || {};
+
+	this.target = use_port;
+	this.closing = false;
+	this.reconnect = null;
+	if( typeof( options.frameTimeout ) == "number" ) this.frameTimeout = options.frameTimeout;
+	if( typeof( options.maxFrameLength ) == "number" ) this.maxFrameLength = options.maxFrameLength;
+	if( options.trace ) this.startTrace( options.trace );
+	if( options.reconnect )
 	{
-		connectport( use_port );
+		this.reconnect = {
+			minDelay: options.minDelay || RECONNECT_MIN_DELAY,
+			maxDelay: options.maxDelay || RECONNECT_MAX_DELAY,
+			setup: options.setup
+		};
 	}
-	else
+
+	if( use_port && typeof( use_port ) == "object" )
 	{
-		SerialPort.list(function (err, ports) {
-			var pname = null;
-			for( var i in ports )
-			{
-				if( ports[i].pnpId && 
-					( ports[i].pnpId.match( /usb\-nfc/i )
-					|| ports[i].pnpId.match( /VID_04D8\&PID_000A/i )))
-				{
-					pname = ports[i].comName;
-				}
-			}
-			if (null == pname)
+		this.open( use_port, "(transport)" );
+	}
+	else if( use_port )
+	{
+		this.connectport( use_port );
+	}
+	else this.connectfound();
+};
+
+/**
+ * connect to a board found by findPorts.  if we have seen 
+ * a board before, only that one (by pnpId) will do.
+ */
+Connection.prototype.connectfound = function()
+{
+	var self = this;
+	findPorts(function( err, names, ports ) {
+		var index = -1;
+		for( var i = 0; !err && i< names.length; i++ )
+		{
+			if( null == self.pnpId || ports[i].pnpId == self.pnpId )
 			{
-				events.emit('comms-event', 
-					{ message: "Port not found", type: COMMS_EVENT_TYPE.CONNECT_EVENT });
+				index = i;
+				break;
 			}
-			else connectport(pname);
+		}
+		if( index < 0 )
+		{
+			if( !self.reconnecting ) 
+				self.emit({ message: "Port not found", type: COMMS_EVENT_TYPE.CONNECT_EVENT });
+			if( self.reconnect ) self.schedulereconnect();
+		}
+		else 
+		{
+			self.pnpId = ports[index].pnpId;
+			self.connectport( names[index] );
+		}
+	});
+};
 
-		});
+/**
+ * try to reconnect after a delay.  the delay doubles on
+ * each attempt, up to the maximum.
+ */
+Connection.prototype.schedulereconnect = function()
+{
+	var self = this;
+	if( null == this.reconnect || null != this.reconnectTimer ) return;
+	if( this.target && typeof( this.target ) == "object" ) return;
+
+	if( !this.reconnecting )
+	{
+		this.reconnecting = true;
+		this.reconnectDelay = this.reconnect.minDelay;
 	}
+	else this.reconnectDelay = Math.min( this.reconnectDelay * 2, this.reconnect.maxDelay );
+
+	this.reconnectTimer = setTimeout( function(){
+		self.reconnectTimer = null;
+		if( self.target ) self.connectport( self.target );
+		else self.connectfound();
+	}, this.reconnectDelay );
 };
 
+/**
+ * after reconnecting, send the setup sequence.  errors are
+ * sent as error events; the sequence continues.
+ */
+Connection.prototype.replaysetup = function()
+{
+	var self = this;
+	var setup = this.reconnect ? this.reconnect.setup : null;
+	if( !setup ) return;
+
+	var done = function( err ){
+		if( err ) self.emit({ message: "Setup failed: " + ( err.message || err ), error: err, 
+			command: err.command, type: COMMS_EVENT_TYPE.ERROR });
+	};
+	if( typeof( setup ) == "function" )
+	{
+		setup( this, done );
+		return;
+	}
+	for( var i = 0; i< setup.length; i++ ) this.request( setup[i], done );
+};
+
+/**
+ * true if b is a response code (the start of a frame)
+ */
+function isresponsecode( b )
+{
+	return ( b == RESPONSE_CODE.VERSION || b == RESPONSE_CODE.ACK || b == RESPONSE_CODE.DATA
+		|| b == RESPONSE_CODE.INTERRUPT || b == RESPONSE_CODE.MESSAGE || b == RESPONSE_CODE.ERR );
+};
+
+/**
+ * the commands each response can answer.  an ACK has the 
+ * command it's for, and an ERR answers any command; 
+ * interrupts don't answer anything.
+ */
+var RESPONSE_COMMANDS = {};
+RESPONSE_COMMANDS[ RESPONSE_CODE.VERSION ] = [ COMMS_COMMAND.VERSION ];
+RESPONSE_COMMANDS[ RESPONSE_CODE.DATA ] = [ 
+	COMMS_COMMAND.GET_NFC_MESSAGE_LENGTH, 
+	COMMS_COMMAND.GET_NVM_MESSAGE_LENGTH, 
+	COMMS_COMMAND.GET_RAM_MESSAGE_LENGTH,
+	COMMS_COMMAND.GET_USER_PREFS 
+];
+RESPONSE_COMMANDS[ RESPONSE_CODE.MESSAGE ] = [ 
+	COMMS_COMMAND.GET_NFC_MESSAGE, 
+	COMMS_COMMAND.GET_NVM_MESSAGE, 
+	COMMS_COMMAND.GET_RAM_MESSAGE 
+];
+
 /**
  * consume some inbound data and send an
  * event when you have a complete package
@@ -206,211 +585,1109 @@ function connect( use_port )
  * if there is debug output, separate from
  * any expected response, that will be
  * passed back via an information event.
+ * other bytes between frames are dropped
+ * (and counted, see stats).  a frame that's
+ * too long, or stops part way, is dropped
+ * and we pick up at the next response code.
  */
-function processdata( data )
+Connection.prototype.processdata = function( data )
 {
 	var s = "";
 	for( var i = 0; i< data.length; i++ )
 	{
 		var b = data[i];
 		
-		switch( state )
+		switch( this.state )
 		{
 		case COMMS_STATE.INFO:
 		
+			// the second byte is a command, flags or an error
+			// code, never a response code; if it is, a byte 
+			// was lost.  start again from here
+			
+			if( isresponsecode( b ))
+			{
+				if( s.length ) this.emit({ message: s, type: COMMS_EVENT_TYPE.INFORMATION });
+				s = "";
+				this.dropframe( "Incomplete frame: response code 0x" + b.toString( 16 ) + " inside a frame" );
+				i--;
+				break;
+			}
+			
+			this.stats.frames++;
+			this.frame = [];
+			var command = this.responsecommand( this.inbound[0], b );
 			var evt = { data:b };
-			if( inbound[0] == RESPONSE_CODE.ACK )
+			var err = null;
+			if( this.inbound[0] == RESPONSE_CODE.ACK )
 			{
 				evt.type = COMMS_EVENT_TYPE.ACK;
 			}
-			else if( inbound[0] == RESPONSE_CODE.ERR )
+			else if( this.inbound[0] == RESPONSE_CODE.ERR )
 			{
-				evt.type = COMMS_EVENT_TYPE.ERROR;
+				err = new BoardError( b, command );
+				evt = errorevent( err );
 			}	
-			else if( inbound[0] == RESPONSE_CODE.INTERRUPT )
+			else if( this.inbound[0] == RESPONSE_CODE.INTERRUPT )
 			{
 				evt.type = COMMS_EVENT_TYPE.INTERRUPT;
 			}
-			state = COMMS_STATE.NULL;
-			events.emit( 'comms-event', evt );
+			if( evt.type != COMMS_EVENT_TYPE.INTERRUPT ) evt.command = command;
+			this.state = COMMS_STATE.NULL;
+			this.emit( evt );
+
+			// interrupts are unsolicited, as is an ACK for some
+			// other command; anything else is the response to
+			// the current request
+			
+			if( typeof( command ) != "undefined" ) this.completerequest( err, evt );
 			break;
 		
 		case COMMS_STATE.LEN:
-			inbound.push( b );
-			if ( inbound.length == 2 )
+			this.inbound.push( b );
+			this.frame.push( b );
+			if ( this.inbound.length == 2 )
 			{
-				inboundCount = ((inbound[0] << 8) | inbound[1]);
-				inbound = [];
-				state = COMMS_STATE.DATA;
+				this.inboundCount = ((this.inbound[0] << 8) | this.inbound[1]);
+				if( this.inboundCount > this.maxFrameLength )
+				{
+					// text so far goes first, then anything we 
+					// find in the dropped frame
+					
+					if( s.length ) this.emit({ message: s, type: COMMS_EVENT_TYPE.INFORMATION });
+					s = "";
+					this.dropframe( "Message length " + this.inboundCount + " is over the maximum (" 
+						+ this.maxFrameLength + ")" );
+					break;
+				}
+				this.inbound = [];
+				this.state = COMMS_STATE.DATA;
+				
+				// an empty message has no data
+				if( this.inboundCount == 0 ) this.completeframe();
 			}
 			break;
 
 		case COMMS_STATE.DATA:
-			inbound.push(b);
-			if( inbound.length == inboundCount)
-			{
-				// reset state
-				state = COMMS_STATE.NULL;
-				
-				if( inboundResponse == RESPONSE_CODE.MESSAGE )
-				{
-					// parse this message, then send it to listeners
-					try
-					{
-						var msg = NDEF.Message.parse( inbound );
-						events.emit( 'comms-event', { data: msg, type: COMMS_EVENT_TYPE.NDEF_MESSAGE });
-					}
-					catch( ex )
-					{
-						events.emit( 'comms-event', { message: "Message read error: " + ex, type: COMMS_EVENT_TYPE.ERROR });
-					}
-				}
-				else if( inboundResponse == RESPONSE_CODE.DATA
-						|| inboundResponse == RESPONSE_CODE.VERSION )
-				{
-					var arr = [];
-					arr = arr.concat( inbound );
-					events.emit( 'comms-event', 
-						{ data: inbound, type: COMMS_EVENT_TYPE.DATA });
-				}
-				else throw( "Unexpected inbound response type: " + inboundResponse );
-			}
+		
+			// take as much of the frame as this chunk has in one 
+			// go (data may be an array or a Buffer)
+			
+			var count = Math.min( this.inboundCount - this.inbound.length, data.length - i );
+			var chunk = Array.prototype.slice.call( data, i, i + count );
+			Array.prototype.push.apply( this.inbound, chunk );
+			Array.prototype.push.apply( this.frame, chunk );
+			i += count - 1;
+			
+			if( this.inbound.length == this.inboundCount) this.completeframe();
 			break;
 
 		default:
+			this.frame = [ b ];
+
+			// text before a frame is sent before the frame
+			
+			if( s.length && isresponsecode( b ))
+			{
+				this.emit({ message: s, type: COMMS_EVENT_TYPE.INFORMATION });
+				s = "";
+			}
+			
 			if( b == RESPONSE_CODE.MESSAGE )
 			{
-				state = COMMS_STATE.LEN;
-				inbound = [];
-				inboundCount = -1;
-				inboundResponse = RESPONSE_CODE.MESSAGE;
+				this.state = COMMS_STATE.LEN;
+				this.inbound = [];
+				this.inboundCount = -1;
+				this.inboundResponse = RESPONSE_CODE.MESSAGE;
 			}
 			else if( b == RESPONSE_CODE.DATA
 					|| b == RESPONSE_CODE.VERSION )
 			{
-				inbound = [];
-				state = COMMS_STATE.DATA;
-				inboundCount = 2;
-				inboundResponse = RESPONSE_CODE.DATA;
+				this.inbound = [];
+				this.state = COMMS_STATE.DATA;
+				this.inboundCount = 2;
+				this.inboundResponse = b;
 			}
 			else if( b == RESPONSE_CODE.ACK 
 						|| b == RESPONSE_CODE.ERR
 						|| b == RESPONSE_CODE.INTERRUPT )
 			{
-				state = COMMS_STATE.INFO;
-				inbound = [];
-				inbound.push( b );
+				this.state = COMMS_STATE.INFO;
+				this.inbound = [];
+				this.inbound.push( b );
 			}
-			else
+			else if(( b >= 0x20 && b < 0x7f ) || b == 0x09 || b == 0x0a || b == 0x0d )
 			{
-				s += (b >= 0x20 && b <= 0x80) ? String.fromCharCode(b) : '?'; // hex(b) 
+				s += String.fromCharCode(b);
 			}
+			else this.stats.garbageBytes++;
 			break;
 		}
 	}
 	if( s.length )
 	{
-		events.emit( 'comms-event', 
-			{ message: s, type: COMMS_EVENT_TYPE.INFORMATION });
+		this.emit({ message: s, type: COMMS_EVENT_TYPE.INFORMATION });
+	}
+	this.startframetimer();
+};
+
+/**
+ * (re)start the inter-byte timer if we're part way through 
+ * a frame; stop it if not
+ */
+Connection.prototype.startframetimer = function()
+{
+	var self = this;
+	clearTimeout( this.frameTimer );
+	this.frameTimer = null;
+	if( this.state == COMMS_STATE.NULL || !this.frameTimeout ) return;
+
+	this.frameTimer = setTimeout( function(){
+		self.frameTimer = null;
+		self.frametimeout();
+	}, this.frameTimeout );
+};
+
+/**
+ * no more data for the frame in progress
+ */
+Connection.prototype.frametimeout = function()
+{
+	this.stats.frameTimeouts++;
+	this.dropframe( "Incomplete frame: no data for " + this.frameTimeout + "ms" );
+};
+
+/**
+ * give up on the frame in progress and report it.  the frame
+ * may have swallowed the start of later frames (e.g. if the
+ * length was corrupted), so look for the next response code
+ * after the start and carry on from there.
+ */
+Connection.prototype.dropframe = function( reason )
+{
+	var frame = this.frame;
+	this.resetparser();
+
+	var start = 1;
+	while( start < frame.length && !isresponsecode( frame[start] )) start++;
+
+	this.stats.droppedFrames++;
+	this.stats.droppedBytes += start;
+	this.emit( errorevent( new FramingError( reason, this.currentcommand(), frame.slice( 0, start ))));
+
+	if( start < frame.length ) this.processdata( frame.slice( start ));
+};
+
+/**
+ * true if we're part way through an inbound frame
+ */
+Connection.prototype.inframe = function()
+{
+	return ( this.state != COMMS_STATE.NULL );
+};
+
+/**
+ * drop any partial frame, without reporting it
+ */
+Connection.prototype.resetparser = function()
+{
+	clearTimeout( this.frameTimer );
+	this.frameTimer = null;
+	this.state = COMMS_STATE.NULL;
+	this.inbound = [];
+	this.inboundCount = 0;
+	this.frame = [];
+};
+
+/**
+ * a complete message, data or version frame is in the 
+ * inbound buffer: send the event and reset state
+ */
+Connection.prototype.completeframe = function()
+{
+	this.state = COMMS_STATE.NULL;
+	this.frame = [];
+	this.stats.frames++;
+
+	// a response that doesn't answer the current request (a 
+	// message sent on write, or a reply that came after its
+	// request timed out) is sent to listeners, unlabelled,
+	// and the request keeps waiting
+	
+	var command = this.responsecommand( this.inboundResponse );
+	var solicited = ( typeof( command ) != "undefined" );
+	
+	if( this.inboundResponse == RESPONSE_CODE.MESSAGE )
+	{
+		// parse this message, then send it to listeners.  the
+		// raw bytes are in the event too, for comparing.  only
+		// the parse is caught: an exception from a listener or
+		// callback isn't a parse error.
+		var msg = null, err = null;
+		try
+		{
+			msg = NDEF.Message.parse( this.inbound );
+		}
+		catch( ex )
+		{
+			err = new NDEFParseError( ex, this.inbound, command );
+		}
+		var evt = err ? errorevent( err ) 
+			: { data: msg, bytes: this.inbound, type: COMMS_EVENT_TYPE.NDEF_MESSAGE, command: command };
+		this.emit( evt );
+		if( solicited ) this.completerequest( err, evt );
+	}
+	else if( this.inboundResponse == RESPONSE_CODE.DATA
+			|| this.inboundResponse == RESPONSE_CODE.VERSION )
+	{
+		// both are two bytes; value is the decoded 16-bit number
+		
+		var evt = { 
+			data: this.inbound, 
+			value: (( this.inbound[0] << 8 ) | this.inbound[1] ),
+			type: ( this.inboundResponse == RESPONSE_CODE.VERSION ) 
+				? COMMS_EVENT_TYPE.VERSION : COMMS_EVENT_TYPE.DATA,
+			command: command
+		};
+		this.emit( evt );
+		if( solicited ) this.completerequest( null, evt );
+	}
+	else 
+	{
+		// shouldn't happen; report it rather than throwing
+		// in the transport's data callback
+
+		var err = new FramingError( "Unexpected inbound response type: " + this.inboundResponse, 
+			command, this.inbound );
+		this.emit( errorevent( err ));
 	}
 };
 
 /**
  * send a command.  this method handles wrapping
- * up as a packet and escaping data. 
+ * up as a packet and escaping data.  data can be
+ * an array, Buffer or Uint8Array.
  */
-function senddata( data )
+Connection.prototype.send = function( data )
 {
-	if ( null == port ) return;
-	var bytes = [];
+	if ( null == this.port ) return;
+
+	// count escapes first, so the packet is one buffer
+	var escapes = 0;
+	for( var i = 0; i< data.length; i++ ) if (data[i] == 0x4a) escapes++;
+
+	var bytes = transport.allocBuffer( data.length + escapes + 2 );
+	var ptr = 0;
 
 	// header
-	bytes.push(0x4a);
-    bytes.push(0xe5);
+	bytes[ptr++] = 0x4a;
+	bytes[ptr++] = 0xe5;
 
 	// escape data
 	for( var i = 0; i< data.length; i++ )
 	{
-		if (data[i] == 0x4a) bytes.push(0xe5);
-		bytes.push(data[i]);
+		if (data[i] == 0x4a) bytes[ptr++] = 0xe5;
+		bytes[ptr++] = data[i];
 	}
 
 	// write
-	port.write( bytes );
+	this.traceentry({ dir: "out", data: bytes });
+	this.port.write( bytes );
+	
+};
+
+/**
+ * send a command and wait for the response.  requests are
+ * queued, so only one command is in flight at a time; the 
+ * next one is sent when the board responds to the current 
+ * one (or it times out).  interrupts are not responses, and
+ * nor is anything that can't answer the command (an ACK for
+ * another command, a late reply, a message sent on write);
+ * those are only sent to listeners.
+ *
+ * the callback is called as callback( err, evt ), where evt 
+ * is the response event (ACK, DATA, VERSION or NDEF_MESSAGE,
+ * the same object sent to 'comms-event' listeners).  an ERR
+ * response or a timeout is passed as err.  if there is no
+ * callback and promises are available, returns a promise.
+ *
+ * @param data - a command value, or an array (command 
+ *				followed by any data, as for send)
+ * @param options - optional, { timeout: ms }
+ * @param callback - optional, function( err, evt )
+ */
+Connection.prototype.request = function( data, options, callback )
+{
+	var self = this;
+	if( typeof( options ) == "function" )
+	{
+		callback = options;
+		options = {};
+	}
+	options = options || {};
+	if( typeof( data ) == "number" ) data = [ data ];
+
+	return callOrPromise( callback, function( callback ){
+		self.requests.push({ 
+			data: data, 
+			timeout: options.timeout || REQUEST_TIMEOUT, 
+			callback: callback 
+		});
 	
+		// defer, so the callback is never called before we return
+		process.nextTick( function(){ self.nextrequest(); });
+	});
+};
+
+/**
+ * send the next queued request, if nothing is in flight
+ */
+Connection.prototype.nextrequest = function()
+{
+	var self = this;
+	if( null != this.currentRequest || this.requests.length == 0 ) return;
+	if( null == this.port )
+	{
+		this.failrequests( "Not connected" );
+		return;
+	}
+	
+	var req = this.currentRequest = this.requests.shift();
+	req.timer = setTimeout( function(){
+		var err = new TimeoutError( req.data[0], req.timeout );
+		var evt = errorevent( err );
+		self.emit( evt );
+		self.completerequest( err, evt );
+	}, req.timeout );
+	
+	this.send( req.data );
+};
+
+/**
+ * the command of the in-flight request, if any
+ */
+Connection.prototype.currentcommand = function()
+{
+	return ( null != this.currentRequest ) ? this.currentRequest.data[0] : undefined;
+};
+
+/**
+ * the command of the in-flight request, if a response (the
+ * response code, and for an ACK the byte after it) answers 
+ * it.  otherwise undefined: the response is unsolicited.
+ */
+Connection.prototype.responsecommand = function( code, b )
+{
+	var command = this.currentcommand();
+	if( typeof( command ) == "undefined" ) return undefined;
+	if( code == RESPONSE_CODE.ERR ) return command;
+	if( code == RESPONSE_CODE.ACK ) return ( b == command ) ? command : undefined;
+	var list = RESPONSE_COMMANDS[code] || [];
+	return ( list.indexOf( command ) >= 0 ) ? command : undefined;
+};
+
+/**
+ * finish the in-flight request and start the next one.  
+ * returns false if there was no request waiting (e.g. the
+ * response came after a timeout).
+ */
+Connection.prototype.completerequest = function( err, evt )
+{
+	var req = this.currentRequest;
+	if( null == req ) return false;
+
+	clearTimeout( req.timer );
+	this.currentRequest = null;
+	if( err ) err.command = req.data[0];
+
+	this.nextrequest();
+	req.callback( err, evt );
+	return true;
+};
+
+/**
+ * fail the in-flight request and anything queued
+ */
+Connection.prototype.failrequests = function( message )
+{
+	var list = this.requests;
+	this.requests = [];
+	if( null != this.currentRequest )
+	{
+		clearTimeout( this.currentRequest.timer );
+		list.unshift( this.currentRequest );
+		this.currentRequest = null;
+	}
+	for( var i = 0; i< list.length; i++ )
+	{
+		list[i].callback( new TransportError( message, list[i].data[0] ), null );
+	}
 };
 
 /**
  * callback when the port is closed
  */
-function portclosed() {
+Connection.prototype.portclosed = function() {
 
-    port = null;
-    events.emit('comms-event', 
-        { message: "Closed", type: COMMS_EVENT_TYPE.CONNECT_EVENT });
+	this.port = null;
+	this.resetparser();
+	this.traceentry({ event: "closed" });
+	this.emit({ message: "Closed", type: COMMS_EVENT_TYPE.CONNECT_EVENT });
+	this.failrequests( "Closed" );
 
+	if( !this.closing ) this.schedulereconnect();
+	this.closing = false;
 };
 
 /**
  * error callback
  */
-function handleerror( e ) {
-
-    events.emit('comms-event', 
-        { message: e, type: COMMS_EVENT_TYPE.ERROR });
+Connection.prototype.handleerror = function( e ) {
 
+	this.emit( errorevent( new TransportError( "Port error: " + ( e && e.message || e ), undefined, e )));
 };
 
 /**
  * internal connect method
  */
-function connectport( path )
+Connection.prototype.connectport = function( path )
 {
 	// normally we would want to throw exceptions here,
 	// but this is called via a callback so it's not practical
 	
-	if( null != port )
+	if( null != this.port )
 	{
-		events.emit('comms-event', 
-			{ message: "Already connected, call close", type: COMMS_EVENT_TYPE.CONNECT_EVENT });
+		this.emit({ message: "Already connected, call close", type: COMMS_EVENT_TYPE.CONNECT_EVENT });
 		return;
 	}
 
-    try
+	var port;
+	try
 	{
-        port = new SerialPort.SerialPort(path, { baudrate: 19200 });
-    }
-    catch (ex)
+		port = transport.fromName( path );
+	}
+	catch (ex)
 	{
-		events.emit('comms-event', 
-			{ message: ex, type: COMMS_EVENT_TYPE.CONNECT_EVENT });
+		this.emit({ message: ex, type: COMMS_EVENT_TYPE.CONNECT_EVENT });
+		this.schedulereconnect();
 		return;
-    }
+	}
+	this.open( port, path );
+};	
 
-	port.on( "open", function () { 
-	    port.on('data', processdata);
-	    port.on('err', handleerror);
-	    port.on('close', portclosed );
+/**
+ * use an open (or opening) transport.  the transport
+ * sends an open event when it's ready.
+ *
+ * @param port - transport object
+ * @param path - name, for information
+ */
+Connection.prototype.open = function( port, path )
+{
+	var self = this;
+	
+	if( null != this.port )
+	{
+		this.emit({ message: "Already connected, call close", type: COMMS_EVENT_TYPE.CONNECT_EVENT });
+		return;
+	}
 
-	    events.emit('comms-event',
-			{ message: "Connected", type: COMMS_EVENT_TYPE.CONNECT_EVENT });
+	this.port = port;
+	this.path = path;
 
+	// an error before the open event means the open failed
+
+	var opened = false;
+	port.on('error', function( e ){ 
+		if( opened ) self.handleerror( e ); 
+		else if( self.port == port )
+		{
+			self.port = null;
+			if( !self.reconnecting )
+				self.emit({ message: "Open failed: " + e, type: COMMS_EVENT_TYPE.CONNECT_EVENT });
+			self.schedulereconnect();
+		}
+	});
+
+	port.on( "open", function () { 
+		opened = true;
+		port.on('data', function( data ){ 
+			self.traceentry({ dir: "in", data: data });
+			self.processdata( data ); 
+		});
+		port.on('close', function(){ self.portclosed(); });
+
+		var reconnected = self.reconnecting;
+		self.reconnecting = false;
+		self.traceentry({ event: "open", port: self.path });
+		self.emit({ message: reconnected ? "Reconnected" : "Connected", type: COMMS_EVENT_TYPE.CONNECT_EVENT });
+		if( reconnected ) self.replaysetup();
 	});
 };	
 
+// --- trace -------------------------------------------------
+
+/** trace file format version */
+var TRACE_VERSION = 1;
+
+/**
+ * bytes -> hex string, for traces
+ */
+function tohex( bytes )
+{
+	var str = "";
+	for( var i = 0; i< bytes.length; i++ ) str += ( bytes[i] < 0x10 ? "0" : "" ) + bytes[i].toString( 16 );
+	return str;
+};
+
+/**
+ * start a wire trace: every frame we send (as written, with 
+ * the header and escapes) and every chunk of data from the 
+ * board is appended to the file, one JSON object per line:
+ *
+ * { "trace": "nfc", "version": 1, "start": "2014-..." }
+ * { "t": 0, "event": "open", "port": "COM3" }
+ * { "t": 12, "dir": "out", "data": "4ae520" }
+ * { "t": 30, "dir": "in", "data": "a50000" }
+ * { "t": 900, "event": "closed" }
+ *
+ * t is ms since the trace started.  the first line is a header;
+ * a trace can be replayed with trace.js.  writes are synchronous,
+ * so the file is complete if the process crashes.
+ */
+Connection.prototype.startTrace = function( path )
+{
+	this.stopTrace();
+	this.traceFile = fs.openSync( path, "a" );
+	this.traceStart = Date.now();
+	this.traceentry({ trace: "nfc", version: TRACE_VERSION, start: new Date( this.traceStart ).toISOString() });
+};
+
+/**
+ * stop the wire trace, if there is one
+ */
+Connection.prototype.stopTrace = function()
+{
+	if( null == this.traceFile ) return;
+	fs.closeSync( this.traceFile );
+	this.traceFile = null;
+};
+
+/**
+ * write a trace entry: data as hex, plus the time
+ */
+Connection.prototype.traceentry = function( entry )
+{
+	if( null == this.traceFile ) return;
+	var line = {};
+	if( typeof( entry.trace ) == "undefined" ) line.t = Date.now() - this.traceStart;
+	for( var key in entry ) line[key] = ( key == "data" ) ? tohex( entry[key] ) : entry[key];
+	fs.writeSync( this.traceFile, JSON.stringify( line ) + "\n" );
+};
+
+/**
+ * for replaying a trace: a command was sent.  it's the request 
+ * in flight from now on, so responses to it are labelled 
+ * (when the trace was made, a command was only sent once the 
+ * one before it was done).
+ */
+Connection.prototype.replaysent = function( data )
+{
+	if( null != this.currentRequest ) clearTimeout( this.currentRequest.timer );
+	this.currentRequest = { data: data, timeout: 0, timer: null, callback: function(){} };
+};
+
+// --- messages ----------------------------------------------
+
+/** most differences listed in a verify diff */
+var MAX_DIFFERENCES = 16;
+
+/**
+ * call fn( callback ), or if there's no callback, return a 
+ * promise (where promises are available)
+ */
+function callOrPromise( callback, fn )
+{
+	if( typeof( callback ) == "function" ) return fn( callback );
+	if( typeof( Promise ) == "undefined" ) return fn( function(){} );
+	return new Promise( function( resolve, reject ){
+		fn( function( err, result ){
+			if( err ) reject( err );
+			else resolve( result );
+		});
+	});
+};
+
+/**
+ * compare the message we wrote with what the board holds.  
+ * returns null if they match, otherwise
+ *
+ * { expectedLength, actualLength, 
+ *   count: number of differing bytes,
+ *   differences: [ { offset, expected, actual } ]	// the first few
+ * }
+ *
+ * expected or actual is undefined past the end of that message.
+ */
+function diffBytes( expected, actual )
+{
+	var diff = { expectedLength: expected.length, actualLength: actual.length, count: 0, differences: [] };
+	var length = Math.max( expected.length, actual.length );
+	for( var i = 0; i< length; i++ )
+	{
+		if( expected[i] === actual[i] ) continue;
+		diff.count++;
+		if( diff.differences.length < MAX_DIFFERENCES )
+			diff.differences.push({ offset: i, expected: expected[i], actual: actual[i] });
+	}
+	return diff.count ? diff : null;
+};
+
+/**
+ * readable version of a diff (@see diffBytes)
+ */
+function formatDiff( diff )
+{
+	var byte = function( b ){ 
+		return ( typeof( b ) == "undefined" ) ? "--" : (( b < 0x10 ? "0" : "" ) + b.toString( 16 )); 
+	};
+	var str = diff.count + ( diff.count == 1 ? " byte differs" : " bytes differ" ) + "; expected " 
+		+ diff.expectedLength + " bytes, got " + diff.actualLength;
+	for( var i = 0; i< diff.differences.length; i++ )
+	{
+		var d = diff.differences[i];
+		str += "\n  offset " + d.offset + ": expected " + byte( d.expected ) + ", got " + byte( d.actual );
+	}
+	if( diff.count > diff.differences.length ) str += "\n  ...";
+	return str;
+};
+
+/**
+ * write an NDEF message (a Message, or bytes) to the board, and
+ * wait for the ACK.  for the NFC transceiver this is SET_NFC_MESSAGE;
+ * for flash (nvm) it's SET_NVM_MESSAGE, then RESET_MESSAGE to load
+ * it into the transceiver.  options:
+ *
+ * { nvm: false,		// write to flash
+ *   verify: false,		// read back and compare
+ *   readBack: "nvm",	// slot to verify: default nvm for flash, else nfc
+ *   retries: 0,		// write again this many times if verify fails
+ *   timeout: 2000		// per request
+ * }
+ *
+ * calls back as callback( err, { bytes, attempts, verified } ), or
+ * returns a promise if there's no callback.  if verify fails, the
+ * error has the difference in err.diff (@see diffBytes).
+ */
+Connection.prototype.writeMessage = function( message, options, callback )
+{
+	var self = this;
+	if( typeof( options ) == "function" )
+	{
+		callback = options;
+		options = {};
+	}
+	options = options || {};
+
+	return callOrPromise( callback, function( callback ){
+		
+		var bytes = ( typeof( message.getBytes ) == "function" ) ? message.getBytes() : Array.prototype.slice.call( message );
+		var len = bytes.length;
+		var readBack = options.readBack || ( options.nvm ? "nvm" : "nfc" );
+		var retries = options.retries || 0;
+		var attempts = 0;
+		var requestOptions = options.timeout ? { timeout: options.timeout } : {};
+
+		// data is the command as one byte; the message
+		// length as two bytes; then the message data
+
+		var write = [ options.nvm ? COMMS_COMMAND.SET_NVM_MESSAGE : COMMS_COMMAND.SET_NFC_MESSAGE, 
+			len >> 8, len & 0xff ].concat( bytes );
+
+		var attempt = function(){
+			attempts++;
+			self.request( write, requestOptions, function( err ){
+				if( err ) return callback( err );
+				if( !options.nvm ) return written();
+				self.request([ COMMS_COMMAND.RESET_MESSAGE ], requestOptions, function( err ){
+					if( err ) return callback( err );
+					written();
+				});
+			});
+		};
+		
+		var written = function(){
+			if( !options.verify ) return callback( null, { bytes: bytes, attempts: attempts, verified: false });
+			self.readBytes( readBack, requestOptions, function( err, actual ){
+				if( err ) return callback( err );
+				var diff = diffBytes( bytes, actual );
+				if( !diff ) return callback( null, { bytes: bytes, attempts: attempts, verified: true });
+				if( attempts <= retries ) return attempt();
+
+				callback( new VerifyError( "Verify failed after " + attempts + " attempt" 
+					+ ( attempts == 1 ? "" : "s" ) + ": " + formatDiff( diff ), messageslot( readBack ).read, diff ));
+			});
+		};
+		
+		attempt();
+	});
+};
+
+/**
+ * message slots on the board, and the commands to read them
+ */
+var MESSAGE_SLOT =
+{
+	nfc: { read: COMMS_COMMAND.GET_NFC_MESSAGE, length: COMMS_COMMAND.GET_NFC_MESSAGE_LENGTH },
+	nvm: { read: COMMS_COMMAND.GET_NVM_MESSAGE, length: COMMS_COMMAND.GET_NVM_MESSAGE_LENGTH },
+	ram: { read: COMMS_COMMAND.GET_RAM_MESSAGE, length: COMMS_COMMAND.GET_RAM_MESSAGE_LENGTH }
+};
+
+/**
+ * slot by name (nfc, nvm or ram); throws for anything else
+ */
+function messageslot( name )
+{
+	var slot = MESSAGE_SLOT[ String( name || "nfc" ).toLowerCase() ];
+	if( !slot ) throw new Error( "Unknown message slot: " + name );
+	return slot;
+};
+
+/**
+ * send the read (or length) command for a slot
+ */
+Connection.prototype.slotrequest = function( slot, kind, options, callback )
+{
+	var command;
+	try
+	{
+		command = messageslot( slot )[kind];
+	}
+	catch( ex )
+	{
+		callback( ex );
+		return;
+	}
+	this.request([ command ], options, callback );
+};
+
+/**
+ * read the message in a slot (nfc, nvm or ram; default nfc)
+ * as bytes.  unlike readMessage, this works for data that
+ * isn't a valid NDEF message.  calls back as callback( err, bytes ),
+ * or returns a promise.
+ */
+Connection.prototype.readBytes = function( slot, options, callback )
+{
+	var self = this;
+	if( typeof( options ) == "function" )
+	{
+		callback = options;
+		options = {};
+	}
+	return callOrPromise( callback, function( callback ){
+		self.slotrequest( slot, "read", options, function( err, evt ){
+			if( evt && evt.bytes ) callback( null, evt.bytes );
+			else callback( err || new FramingError( "No message in response", messageslot( slot ).read ));
+		});
+	});
+};
+
+/**
+ * read the message in a slot (nfc, nvm or ram; default nfc),
+ * parsed.  calls back as callback( err, message ), or returns
+ * a promise.
+ */
+Connection.prototype.readMessage = function( slot, options, callback )
+{
+	var self = this;
+	if( typeof( options ) == "function" )
+	{
+		callback = options;
+		options = {};
+	}
+	return callOrPromise( callback, function( callback ){
+		self.slotrequest( slot, "read", options, function( err, evt ){
+			callback( err, err ? null : evt.data );
+		});
+	});
+};
+
+/**
+ * read the length of the message in a slot (nfc, nvm or ram;
+ * default nfc).  calls back as callback( err, length ), or 
+ * returns a promise.
+ */
+Connection.prototype.readLength = function( slot, options, callback )
+{
+	var self = this;
+	if( typeof( options ) == "function" )
+	{
+		callback = options;
+		options = {};
+	}
+	return callOrPromise( callback, function( callback ){
+		self.slotrequest( slot, "length", options, function( err, evt ){
+			callback( err, err ? null : evt.value );
+		});
+	});
+};
+
+/**
+ * compare the messages in two slots, e.g. "nvm" and "nfc".
+ * calls back as callback( err, result ), or returns a promise:
+ *
+ * { same: true,		// byte-for-byte
+ *   diff: null,		// or the difference (@see diffBytes)
+ *   a: [ bytes ],
+ *   b: [ bytes ]
+ * }
+ */
+Connection.prototype.compareSlots = function( a, b, options, callback )
+{
+	var self = this;
+	if( typeof( options ) == "function" )
+	{
+		callback = options;
+		options = {};
+	}
+	return callOrPromise( callback, function( callback ){
+		self.readBytes( a, options, function( err, first ){
+			if( err ) return callback( err );
+			self.readBytes( b, options, function( err, second ){
+				if( err ) return callback( err );
+				var diff = diffBytes( first, second );
+				callback( null, { same: !diff, diff: diff, a: first, b: second });
+			});
+		});
+	});
+};
+
+/**
+ * name of a command, e.g. "GET_NFC_MESSAGE", or the value 
+ * in hex if it's not one we know
+ */
+function commandName( command )
+{
+	for( var key in COMMS_COMMAND )
+		if( COMMS_COMMAND[key] === command && key != "LAST_VALUE" ) return key;
+	return "0x" + Number( command ).toString( 16 );
+};
+
+// --- config ------------------------------------------------
+
+/**
+ * GET_USER_PREFS value -> { readOnly: false, autoReload: false, ... }
+ */
+function decodePrefs( value )
+{
+	var config = {};
+	for( var key in PREF_BITS ) config[key] = !!( value & PREF_BITS[key] );
+	return config;
+};
+
+/**
+ * read the board config (user prefs).  calls back as
+ * callback( err, config ), or returns a promise:
+ *
+ * { readOnly: false,		// tag can't be written by a phone
+ *   autoReload: false,		// reload the NVM message after a phone writes
+ *   autoRfEnable: true,	// enable RF on reset
+ *   txOnWrite: false		// send the message to the host when a phone writes
+ * }
+ */
+Connection.prototype.getConfig = function( options, callback )
+{
+	var self = this;
+	if( typeof( options ) == "function" )
+	{
+		callback = options;
+		options = {};
+	}
+	return callOrPromise( callback, function( callback ){
+		self.request([ COMMS_COMMAND.GET_USER_PREFS ], options, function( err, evt ){
+			callback( err, err ? null : decodePrefs( evt.value ));
+		});
+	});
+};
+
+/**
+ * change the board config.  pass any of the getConfig fields;
+ * only the commands for prefs that differ from the current
+ * config are sent.  calls back as callback( err, result ), or
+ * returns a promise:
+ *
+ * { config: { ... },		// new config, read back from the board
+ *   changed: [ "readOnly" ]
+ * }
+ */
+Connection.prototype.setConfig = function( config, options, callback )
+{
+	var self = this;
+	if( typeof( options ) == "function" )
+	{
+		callback = options;
+		options = {};
+	}
+	return callOrPromise( callback, function( callback ){
+
+		for( var key in config )
+		{
+			if( !PREF_COMMANDS.hasOwnProperty( key )) return callback( new Error( "Unknown config setting: " + key ));
+			if( typeof( config[key] ) != "boolean" ) return callback( new Error( "Config setting " + key + " must be true or false" ));
+		}
+
+		self.getConfig( options, function( err, current ){
+			if( err ) return callback( err );
+
+			var changed = [];
+			for( var key in config ) if( config[key] != current[key] ) changed.push( key );
+
+			var next = function( index ){
+				if( !changed.length ) return callback( null, { config: current, changed: changed });
+				if( index >= changed.length )
+				{
+					// read back, so the result is what the board has
+
+					self.getConfig( options, function( err, result ){
+						callback( err, err ? null : { config: result, changed: changed });
+					});
+					return;
+				}
+				var key = changed[index];
+				self.request([ PREF_COMMANDS[key][ config[key] ? 1 : 0 ]], options, function( err ){
+					if( err ) return callback( err );
+					next( index + 1 );
+				});
+			};
+			next( 0 );
+		});
+	});
+};
+
+// --- discovery ---------------------------------------------
+
+/**
+ * locate boards via the VID/PID or the bus description (the 
+ * call that serialport uses on different platforms returns
+ * different information).  calls back with the names of every
+ * matching port, and the serialport info for each, as 
+ * callback( err, names, ports ).
+ */
+function findPorts( callback )
+{
+	transport.listSerialPorts(function (err, ports) {
+		var names = [];
+		var found = [];
+		if( err ) 
+		{
+			callback( err, names, found );
+			return;
+		}
+		for( var i in ports )
+		{
+			if( ports[i].pnpId && 
+				( ports[i].pnpId.match( /usb\-nfc/i )
+				|| ports[i].pnpId.match( /VID_04D8\&PID_000A/i )))
+			{
+				names.push( ports[i].comName );
+				found.push( ports[i] );
+			}
+		}
+		callback( null, names, found );
+	});
+};
+
+/**
+ * create and open a connection for every board found.  calls
+ * back with the list of connections, as callback( err, list ).
+ * connections are returned before the ports are open; listen
+ * for the "Connected" event on each one.  options are passed
+ * to connect; with reconnect, each connection follows its
+ * own board by pnpId.
+ */
+function connectAll( options, callback )
+{
+	if( typeof( options ) == "function" )
+	{
+		callback = options;
+		options = {};
+	}
+	findPorts(function( err, names, ports ) {
+		var list = [];
+		if( !err ) 
+		{
+			for( var i = 0; i< names.length; i++ )
+			{
+				var connection = new Connection();
+				list.push( connection );
+				connection.pnpId = ports[i].pnpId;
+				connection.connect( null, options );
+			}
+		}
+		callback( err, list );
+	});
+};
+
+// --- default connection ------------------------------------
+
+var defaultConnection = new Connection();
+
 if( typeof( exports ) != "undefined" )	
 {
-    exports.connect = connect;
-    exports.disconnect = disconnect;
-    exports.send = senddata;
-    exports.events = events;
-    exports.connected = function () { return (null != port); };
+	exports.connect = function( use_port, options ){ defaultConnection.connect( use_port, options ); };
+	exports.disconnect = function(){ defaultConnection.disconnect(); };
+	exports.send = function( data ){ defaultConnection.send( data ); };
+	exports.request = function( data, options, callback ){ 
+		return defaultConnection.request( data, options, callback ); 
+	};
+	exports.writeMessage = function( message, options, callback ){ 
+		return defaultConnection.writeMessage( message, options, callback ); 
+	};
+	exports.readMessage = function( slot, options, callback ){ 
+		return defaultConnection.readMessage( slot, options, callback ); 
+	};
+	exports.readBytes = function( slot, options, callback ){ 
+		return defaultConnection.readBytes( slot, options, callback ); 
+	};
+	exports.readLength = function( slot, options, callback ){ 
+		return defaultConnection.readLength( slot, options, callback ); 
+	};
+	exports.compareSlots = function( a, b, options, callback ){ 
+		return defaultConnection.compareSlots( a, b, options, callback ); 
+	};
+	exports.getConfig = function( options, callback ){ 
+		return defaultConnection.getConfig( options, callback ); 
+	};
+	exports.setConfig = function( config, options, callback ){ 
+		return defaultConnection.setConfig( config, options, callback ); 
+	};
+	exports.events = defaultConnection.events;
+	exports.stats = function () { return defaultConnection.stats; };
+	exports.startTrace = function ( path ) { defaultConnection.startTrace( path ); };
+	exports.stopTrace = function () { defaultConnection.stopTrace(); };
+	exports.connected = function () { return defaultConnection.connected(); };
 
-    exports.EVENT_TYPE = COMMS_EVENT_TYPE;
+	exports.Connection = Connection;
+	exports.CommsError = CommsError;
+	exports.TransportError = TransportError;
+	exports.TimeoutError = TimeoutError;
+	exports.FramingError = FramingError;
+	exports.BoardError = BoardError;
+	exports.NDEFParseError = NDEFParseError;
+	exports.VerifyError = VerifyError;
+	exports.findPorts = findPorts;
+	exports.connectAll = connectAll;
+	exports.commandName = commandName;
+	exports.decodePrefs = decodePrefs;
+	exports.diffBytes = diffBytes;
+	exports.formatDiff = formatDiff;
+
+	exports.EVENT_TYPE = COMMS_EVENT_TYPE;
+	exports.RESPONSE_CODE = RESPONSE_CODE;
+	exports.ERROR_CODE = COMMS_ERROR_CODE;
 	exports.COMMAND = COMMS_COMMAND;
+	exports.MESSAGE_SLOT = MESSAGE_SLOT;
+	exports.PREF_BITS = PREF_BITS;
+	exports.PREF_COMMANDS = PREF_COMMANDS;
 }
-
-
- 
- 
- 
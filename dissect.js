@@ -0,0 +1,457 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * protocol dissector: annotates raw bytes frame by frame.
+ * host frames (to the board) are the 0x4A 0xE5 header, then
+ * the command, with 0x4A escaped as 0xE5 0x4A; board frames
+ * (from the board) start with a response code.  NDEF messages
+ * are expanded record by record.
+ *
+ * node dissect.js 4a e5 40 00 03 d0 00 00
+ * node dissect.js -b a1 40
+ * node dissect.js -t board.trace
+ *
+ * hex can be spaced, comma separated or 0x-prefixed.  without
+ * -b (board) or -h (host), frames starting with the header are
+ * taken as host frames.
+ */
+
+var NDEF = require("./ndef.js"),
+	comms = require("./comms.js"),
+	trace = require("./trace.js");
+
+var COMMAND = comms.COMMAND,
+	RESPONSE_CODE = comms.RESPONSE_CODE;
+
+/** most bytes shown on one line */
+var BYTES_PER_LINE = 8;
+
+/** longest message the board sends (as comms.js) */
+var MAX_MESSAGE_LENGTH = 2048;
+
+/**
+ * TNF names
+ */
+var TNF_NAME = [ "empty", "well-known", "MIME", "absolute URI", "external", "unknown", "unchanged" ];
+
+/**
+ * hex text -> bytes.  accepts spaces, commas, colons and 0x.
+ * throws on anything else.
+ */
+function parsehex( text )
+{
+	var str = String( text ).replace( /0x/gi, "" ).replace( /[\s,:]+/g, "" );
+	if( /[^0-9a-f]/i.test( str )) throw( "Invalid hex: " + text );
+	if( str.length % 2 ) throw( "Invalid hex (odd number of digits): " + text );
+	return trace.fromhex( str );
+};
+
+/**
+ * bytes -> hex, spaced
+ */
+function hex( bytes )
+{
+	var list = [];
+	for( var i = 0; i< bytes.length; i++ ) list.push(( bytes[i] < 0x10 ? "0" : "" ) + bytes[i].toString( 16 ));
+	return list.join( " " );
+};
+
+/**
+ * number -> hex with at least two digits
+ */
+function hexvalue( n, width )
+{
+	var str = n.toString( 16 );
+	while( str.length < ( width || 2 )) str = "0" + str;
+	return "0x" + str;
+};
+
+/**
+ * annotate an NDEF message: one item per record (or chunk),
+ * with the decoded record.  offsets are from the start of the
+ * message.
+ */
+function dissectNDEF( bytes )
+{
+	var items = [];
+	var offset = 0;
+	var chunkStart = -1;
+
+	if( !bytes.length ) return [{ offset: 0, bytes: [], text: "empty message" }];
+	while( offset < bytes.length )
+	{
+		var raw;
+		try
+		{
+			raw = NDEF.Record.parseRaw( bytes, offset );
+		}
+		catch( ex )
+		{
+			items.push({ offset: offset, bytes: bytes.slice( offset ), text: "invalid record: " + ex });
+			break;
+		}
+
+		var h = raw.header;
+		var flags = [];
+		if( h.messageBegin ) flags.push( "MB" );
+		if( h.messageEnd ) flags.push( "ME" );
+		if( h.chunked ) flags.push( "CF" );
+		if( h.shortRecord ) flags.push( "SR" );
+		if( h.IDLength ) flags.push( "IL" );
+
+		var text = ( chunkStart >= 0 ? "chunk" : "record" ) + ": header " + hexvalue( h.toByte())
+			+ ( flags.length ? " (" + flags.join( " " ) + ")" : "" )
+			+ ", TNF " + h.TNF + " (" + ( TNF_NAME[h.TNF] || "reserved" ) + ")";
+		if( raw.type.length ) text += ", type \"" + raw.type + "\"";
+		if( raw.id.length ) text += ", id \"" + raw.id + "\"";
+		text += ", payload " + raw.payload.length + " byte" + ( raw.payload.length == 1 ? "" : "s" );
+
+		var item = { offset: offset, bytes: bytes.slice( offset, offset + raw.consumed ), text: text };
+		items.push( item );
+
+		// decode the record; chunked records once we have the last chunk
+
+		if( h.chunked && chunkStart < 0 ) chunkStart = offset;
+		else if( !h.chunked )
+		{
+			var start = ( chunkStart >= 0 ) ? chunkStart : offset;
+			chunkStart = -1;
+			try
+			{
+				var message = NDEF.Message.parse( bytes.slice( start, offset + raw.consumed ));
+				item.detail = message.records[0].toString().replace( /\n$/, "" );
+			}
+			catch( ex )
+			{
+				item.detail = "can't decode: " + ex;
+			}
+		}
+		offset += raw.consumed;
+	}
+	if( chunkStart >= 0 ) items.push({ offset: offset, bytes: [], text: "incomplete chunked record" });
+	return items;
+};
+
+/**
+ * read one byte of a host frame, removing the escape.  returns
+ * { value, length } (length 2 if escaped), or null at the end.
+ */
+function readhost( bytes, offset )
+{
+	if( offset >= bytes.length ) return null;
+	if( bytes[offset] == 0xe5 && bytes[offset+1] == 0x4a ) return { value: 0x4a, length: 2 };
+	return { value: bytes[offset], length: 1 };
+};
+
+/**
+ * annotate host (to board) frames.  returns a list of frames,
+ * { direction, offset, items }, where items are { offset,
+ * bytes, text, detail } (detail is extra lines, if any).
+ */
+function dissectHost( bytes )
+{
+	var frames = [];
+	var offset = 0;
+
+	while( offset < bytes.length )
+	{
+		// anything before a header isn't a frame
+
+		var start = offset;
+		while( offset < bytes.length - 1 && !( bytes[offset] == 0x4a && bytes[offset+1] == 0xe5 )) offset++;
+		if( offset >= bytes.length - 1 ) offset = bytes.length;
+		if( offset > start )
+		{
+			frames.push({ direction: "host", offset: start, items: [
+				{ offset: start, bytes: bytes.slice( start, offset ), text: "not a frame (no header)" }]});
+			continue;
+		}
+
+		var frame = { direction: "host", offset: offset, items: [] };
+		frames.push( frame );
+		frame.items.push({ offset: offset, bytes: [ 0x4a, 0xe5 ], text: "header" });
+		offset += 2;
+
+		var escapes = [];
+		var read = function( count ){
+			var data = [];
+			var raw = offset;
+			while( data.length < count )
+			{
+				var b = readhost( bytes, offset );
+				if( null == b ) break;
+				if( b.length == 2 ) escapes.push( offset );
+				data.push( b.value );
+				offset += b.length;
+			}
+			return { data: data, offset: raw, raw: bytes.slice( raw, offset ) };
+		};
+
+		var command = read( 1 );
+		if( !command.data.length )
+		{
+			frame.items.push({ offset: offset, bytes: [], text: "incomplete: no command" });
+			break;
+		}
+		var c = command.data[0];
+		frame.items.push({ offset: command.offset, bytes: command.raw,
+			text: "command " + hexvalue( c ) + " " + comms.commandName( c ) });
+
+		// message writes carry a length, then the message
+
+		if( c == COMMAND.SET_NFC_MESSAGE || c == COMMAND.SET_NVM_MESSAGE )
+		{
+			var len = read( 2 );
+			if( len.data.length < 2 )
+			{
+				frame.items.push({ offset: len.offset, bytes: len.raw, text: "incomplete: no length" });
+				break;
+			}
+			var length = ( len.data[0] << 8 ) | len.data[1];
+			frame.items.push({ offset: len.offset, bytes: len.raw, text: "length " + length });
+
+			var message = read( length );
+			var text = "NDEF message, " + message.data.length + " byte" + ( message.data.length == 1 ? "" : "s" );
+			if( message.data.length < length ) text += " (incomplete: expected " + length + ")";
+			frame.items.push({ offset: message.offset, bytes: message.raw, text: text,
+				records: dissectNDEF( message.data ) });
+		}
+
+		for( var i = 0; i< escapes.length; i++ )
+			frame.items.push({ offset: escapes[i], bytes: [ 0xe5, 0x4a ], text: "escape: 0x4a in data" });
+	}
+	return frames;
+};
+
+/**
+ * annotate board (to host) frames, @see dissectHost
+ */
+function dissectBoard( bytes )
+{
+	var frames = [];
+	var offset = 0;
+
+	var isresponse = function( b ){
+		for( var key in RESPONSE_CODE ) if( key != "LAST" && RESPONSE_CODE[key] == b ) return true;
+		return false;
+	};
+
+	while( offset < bytes.length )
+	{
+		var start = offset;
+		var b = bytes[offset];
+
+		// text and anything else between frames
+
+		if( !isresponse( b ))
+		{
+			while( offset < bytes.length && !isresponse( bytes[offset] )) offset++;
+			var str = "";
+			var text = true;
+			for( var i = start; i< offset; i++ )
+			{
+				if(( bytes[i] >= 0x20 && bytes[i] < 0x7f ) || bytes[i] == 0x09 || bytes[i] == 0x0a || bytes[i] == 0x0d )
+					str += String.fromCharCode( bytes[i] );
+				else text = false;
+			}
+			frames.push({ direction: "board", offset: start, items: [{ offset: start, bytes: bytes.slice( start, offset ),
+				text: text ? "text ``" + str.replace( /\r?\n/g, "\\n" ) + "''" : "not a frame (garbage)" }]});
+			continue;
+		}
+
+		var frame = { direction: "board", offset: start, items: [] };
+		frames.push( frame );
+		offset++;
+
+		var size = ( b == RESPONSE_CODE.MESSAGE || b == RESPONSE_CODE.DATA || b == RESPONSE_CODE.VERSION ) ? 2 : 1;
+		var data = bytes.slice( offset, offset + size );
+		var name = "";
+		for( var key in RESPONSE_CODE ) if( RESPONSE_CODE[key] === b && key != "LAST" ) name = key;
+
+		if( data.length < size )
+		{
+			frame.items.push({ offset: start, bytes: bytes.slice( start ), text: name + " (incomplete)" });
+			break;
+		}
+		offset += size;
+
+		var value = ( size == 2 ) ? (( data[0] << 8 ) | data[1] ) : data[0];
+		var desc;
+		switch( b )
+		{
+		case RESPONSE_CODE.ACK:
+			desc = "ACK " + comms.commandName( value );
+			break;
+		case RESPONSE_CODE.ERR:
+			desc = "ERR " + new comms.BoardError( value ).message;
+			break;
+		case RESPONSE_CODE.INTERRUPT:
+			desc = "INTERRUPT " + hexvalue( value ) + (( value & 0x02 ) ? " read" : "" ) + (( value & 0x04 ) ? " write" : "" );
+			break;
+		case RESPONSE_CODE.DATA:
+			desc = "DATA " + hexvalue( value, 4 ) + " (" + value + ")";
+			break;
+		case RESPONSE_CODE.VERSION:
+			desc = "VERSION " + hexvalue( value, 4 );
+			break;
+		case RESPONSE_CODE.MESSAGE:
+			desc = "MESSAGE, length " + value;
+			break;
+		}
+
+		// comms.js drops a message that's too long, and looks 
+		// for the next frame after the response code
+
+		if( b == RESPONSE_CODE.MESSAGE && value > MAX_MESSAGE_LENGTH )
+		{
+			frame.items.push({ offset: start, bytes: [ b ], text: desc + " (over the maximum; dropped)" });
+			offset = start + 1;
+			continue;
+		}
+		frame.items.push({ offset: start, bytes: bytes.slice( start, offset ), text: desc });
+
+		if( b == RESPONSE_CODE.MESSAGE )
+		{
+			var message = bytes.slice( offset, offset + value );
+			var text = "NDEF message, " + message.length + " byte" + ( message.length == 1 ? "" : "s" );
+			if( message.length < value ) text += " (incomplete: expected " + value + ")";
+			frame.items.push({ offset: offset, bytes: message, text: text, records: dissectNDEF( message ) });
+			offset += message.length;
+		}
+	}
+	return frames;
+};
+
+/**
+ * dissect bytes or hex text.  options: { direction: "host" or
+ * "board" }; by default, bytes starting with the host header
+ * are host frames.
+ */
+function dissect( input, options )
+{
+	options = options || {};
+	var bytes = ( typeof( input ) == "string" ) ? parsehex( input ) : Array.prototype.slice.call( input );
+	var direction = options.direction || (( bytes[0] == 0x4a && bytes[1] == 0xe5 ) ? "host" : "board" );
+	return ( direction == "host" ) ? dissectHost( bytes ) : dissectBoard( bytes );
+};
+
+/**
+ * dissect a trace (@see trace.js): outbound entries are host
+ * frames; inbound chunks are put together (up to the next
+ * outbound frame) since frames can be split across chunks.
+ * each frame gets the time (t) of its entry.  (timing isn't 
+ * checked; for frame timeouts, replay the trace with trace.js.)
+ */
+function dissectTrace( entries )
+{
+	var frames = [];
+	var inbound = null;
+
+	var flush = function(){
+		if( null == inbound ) return;
+		var list = dissectBoard( inbound.data );
+		for( var i = 0; i< list.length; i++ ) list[i].t = inbound.t;
+		frames = frames.concat( list );
+		inbound = null;
+	};
+
+	for( var i = 0; i< entries.length; i++ )
+	{
+		var entry = entries[i];
+		if( entry.dir == "in" )
+		{
+			if( null == inbound ) inbound = { t: entry.t, data: [] };
+			inbound.data = inbound.data.concat( Array.prototype.slice.call( entry.data ));
+		}
+		else if( entry.dir == "out" )
+		{
+			flush();
+			var list = dissectHost( entry.data );
+			for( var j = 0; j< list.length; j++ ) list[j].t = entry.t;
+			frames = frames.concat( list );
+		}
+		else if( entry.event == "closed" ) flush();
+	}
+	flush();
+	return frames;
+};
+
+/**
+ * frames -> text
+ */
+function format( frames )
+{
+	var lines = [];
+	var indent = function( text, prefix ){ return prefix + String( text ).replace( /\n/g, "\n" + prefix ); };
+	var line = function( item, prefix, mark ){
+		var offset = mark + ( "000" + item.offset.toString( 16 )).slice( -4 );
+		var shown = hex( item.bytes.slice( 0, BYTES_PER_LINE )) + ( item.bytes.length > BYTES_PER_LINE ? " .." : "" );
+		while( shown.length < BYTES_PER_LINE * 3 + 4 ) shown += " ";
+		lines.push( prefix + offset + "  " + shown + item.text );
+		if( item.detail ) lines.push( indent( item.detail, prefix + "       " ));
+	};
+
+	for( var i = 0; i< frames.length; i++ )
+	{
+		var frame = frames[i];
+		lines.push(( frame.direction == "host" ? "host -> board" : "board -> host" )
+			+ ( typeof( frame.t ) == "number" ? " (+" + frame.t + "ms)" : "" ));
+		for( var j = 0; j< frame.items.length; j++ )
+		{
+			line( frame.items[j], "  ", "" );
+			var records = frame.items[j].records || [];
+			for( var k = 0; k< records.length; k++ ) line( records[k], "    ", "+" );
+		}
+	}
+	return lines.join( "\n" );
+};
+
+if( typeof( exports ) != "undefined" )
+{
+	exports.dissect = dissect;
+	exports.dissectHost = dissectHost;
+	exports.dissectBoard = dissectBoard;
+	exports.dissectNDEF = dissectNDEF;
+	exports.dissectTrace = dissectTrace;
+	exports.format = format;
+	exports.parsehex = parsehex;
+}
+
+if( require.main === module )
+{
+	var args = process.argv.slice( 2 );
+	var options = {};
+	var tracePath = null;
+	var input = [];
+
+	for( var i = 0; i< args.length; i++ )
+	{
+		if( args[i] == "-b" ) options.direction = "board";
+		else if( args[i] == "-h" ) options.direction = "host";
+		else if( args[i] == "-t" ) tracePath = args[++i];
+		else input.push( args[i] );
+	}
+
+	if( !tracePath && !input.length )
+	{
+		console.log( "usage: node dissect.js [-h|-b] hex..." );
+		console.log( "       node dissect.js -t trace-file" );
+		console.log();
+		console.log( "-h\t host frames (to the board)" );
+		console.log( "-b\t board frames (from the board)" );
+		console.log( "-t path\t dissect a trace file (see trace.js)" );
+		process.exit( 1 );
+	}
+
+	try
+	{
+		var frames = tracePath ? dissectTrace( trace.readTrace( tracePath ).entries ) : dissect( input.join( " " ), options );
+		console.log( format( frames ));
+	}
+	catch( ex )
+	{
+		console.log( "error: " + ( ex.message || ex ));
+		process.exit( 1 );
+	}
+}
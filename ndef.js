@@ -3,31 +3,243 @@
  * MIT License (http://opensource.org/licenses/MIT)
  *
  * basic implementation of NDEF message, with 
- * support for URI, Text, and Android Application
- * records.
+ * support for URI, Text, Android Application, MIME,
+ * Smart Poster, Wi-Fi credential, Bluetooth handover,
+ * contact (vCard), external type and absolute URI records.  records of
+ * any other type are kept as generic records.
  *
  * also supports more user-friendly text (JSON)
  * representation.  for JSON, every record has a
- * type and then an arguments field; arguments 
- * will be  passed to type constructor for the type. 
+ * type and then an args field; args will be 
+ * passed to the type constructor for the type. 
  * viz:
  *
  * [
  *  { "type": "U", 
- *    "arguments": "http://www.some.thing"
+ *    "args": "http://www.some.thing"
  *  },
  *  { "type": "T",
- *    "arguments: "a text record"
+ *    "args": "a text record"
  *  },
  *  { "type": "android.com:pkg",
- *    "arguments: "org.some.fake.package"
+ *    "args": "org.some.fake.package"
+ *  },
+ *  { "type": "mime",
+ *    "args": { "mimeType": "image/png", "base64": "iVBORw0..." }
+ *  },
+ *  { "type": "Sp",
+ *    "args": { "uri": "http://www.some.thing", 
+ *              "titles": { "en": "some thing" }, "action": "open" }
+ *  },
+ *  { "type": "wifi",
+ *    "args": { "ssid": "guest", "key": "secret" }
+ *  },
+ *  { "type": "contact",
+ *    "args": { "name": "Jane Smith", "phones": [ "+1 555 0100" ] }
+ *  }
+ * ]
+ *
+ * a Bluetooth pairing (handover select) message:
+ *
+ * [
+ *  { "type": "Hs",
+ *    "args": { "carriers": [ { "cps": "active", "ref": "0" } ] }
+ *  },
+ *  { "type": "bluetooth", "id": "0",
+ *    "args": { "address": "00:11:22:33:44:55", "name": "Speaker" }
  *  }
  * ]
  *
+ * any record can also have an "id" field, for the NDEF
+ * record ID.
+ *
+ * Message.getJSON writes a fuller, versioned format that keeps 
+ * TNF, IDs and raw payloads, so messages read from a tag can be 
+ * written back exactly (@see Message.prototype.toObject, and 
+ * ndef-message.schema.json).  Message.fromJSON loads either format.
+ *
  * removed NFC/Type4 tag stuff as it wasn't helpful.
  *
  */
 
+// --- utilities ---------------------------------------------
+
+var BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * string -> UTF-8 bytes
+ */
+function encodeUTF8( str )
+{
+	var binary = unescape( encodeURIComponent( str ));
+	var bytes = [];
+	for( var i = 0; i< binary.length; i++ ) bytes.push( binary.charCodeAt( i ));
+	return bytes;
+};
+
+/**
+ * UTF-8 bytes -> string.  throws on invalid UTF-8.
+ */
+function decodeUTF8( bytes )
+{
+	var binary = "";
+	for( var i = 0; i< bytes.length; i++ ) binary += String.fromCharCode( bytes[i] );
+	return decodeURIComponent( escape( binary ));
+};
+
+/**
+ * bytes -> string, as UTF-8 if that's valid; otherwise one
+ * character per byte, so we can still show something.
+ */
+function decodeText( bytes )
+{
+	try
+	{
+		return decodeUTF8( bytes );
+	}
+	catch( ex )
+	{
+		var str = "";
+		for( var i = 0; i< bytes.length; i++ ) str += String.fromCharCode( bytes[i] );
+		return str;
+	}
+};
+
+/**
+ * string -> UTF-16 (big-endian) bytes, no BOM
+ */
+function encodeUTF16( str )
+{
+	var bytes = [];
+	for( var i = 0; i< str.length; i++ ) 
+	{
+		var c = str.charCodeAt( i );
+		bytes.push( c >> 8, c & 0xff );
+	}
+	return bytes;
+};
+
+/**
+ * UTF-16 bytes -> string.  uses the BOM if there is one, 
+ * otherwise big-endian.
+ */
+function decodeUTF16( bytes )
+{
+	var str = "";
+	var start = 0;
+	var little = false;
+	if( bytes.length >= 2 && bytes[0] == 0xff && bytes[1] == 0xfe ) 
+	{
+		little = true;
+		start = 2;
+	}
+	else if( bytes.length >= 2 && bytes[0] == 0xfe && bytes[1] == 0xff ) start = 2;
+
+	for( var i = start; i + 1 < bytes.length; i += 2 )
+	{
+		str += String.fromCharCode( little 
+			? ( bytes[i+1] << 8 ) | bytes[i] 
+			: ( bytes[i] << 8 ) | bytes[i+1] );
+	}
+	return str;
+};
+
+/**
+ * any array-like (array, Buffer, Uint8Array, ArrayBuffer) -> 
+ * array.  arrays are returned as-is, anything else is copied 
+ * in one call.
+ */
+function toArray( data )
+{
+	if( Array.isArray( data )) return data;
+	if( typeof( ArrayBuffer ) != "undefined" && data instanceof ArrayBuffer ) data = new Uint8Array( data );
+	return Array.prototype.slice.call( data );
+};
+
+/**
+ * array-like -> new array
+ */
+function copyBytes( data )
+{
+	return Array.isArray( data ) ? data.slice( 0 ) : toArray( data );
+};
+
+/**
+ * append array-like source to array target, in place.  large 
+ * sources are pushed in blocks to stay under argument limits.
+ */
+function appendBytes( target, source )
+{
+	var BLOCK = 8192;
+	for( var i = 0; i< source.length; i += BLOCK )
+	{
+		var block = Array.isArray( source ) 
+			? source.slice( i, i + BLOCK ) 
+			: Array.prototype.slice.call( source, i, i + BLOCK );
+		Array.prototype.push.apply( target, block );
+	}
+	return target;
+};
+
+/**
+ * true if two array-likes hold the same bytes
+ */
+function sameBytes( a, b )
+{
+	if( a.length != b.length ) return false;
+	for( var i = 0; i< a.length; i++ ) if( a[i] != b[i] ) return false;
+	return true;
+};
+
+/**
+ * array-like -> Buffer in node, Uint8Array elsewhere
+ */
+function toBuffer( data )
+{
+	if( typeof( Buffer ) == "undefined" ) return new Uint8Array( toArray( data ));
+	if( Buffer.isBuffer( data )) return data;
+	return Buffer.from ? Buffer.from( toArray( data )) : new Buffer( toArray( data ));
+};
+
+/**
+ * bytes -> base64 string
+ */
+function encodeBase64( bytes )
+{
+	var str = "";
+	for( var i = 0; i< bytes.length; i += 3 )
+	{
+		var n = ( bytes[i] << 16 ) | (( bytes[i+1] || 0 ) << 8 ) | ( bytes[i+2] || 0 );
+		str += BASE64.charAt(( n >> 18 ) & 63 ) + BASE64.charAt(( n >> 12 ) & 63 )
+			+ (( i + 1 < bytes.length ) ? BASE64.charAt(( n >> 6 ) & 63 ) : "=" )
+			+ (( i + 2 < bytes.length ) ? BASE64.charAt( n & 63 ) : "=" );
+	}
+	return str;
+};
+
+/**
+ * base64 string -> bytes.  whitespace and padding are ignored.
+ */
+function decodeBase64( str )
+{
+	var bytes = [];
+	var n = 0, bits = 0;
+	str = str.replace( /[\s=]/g, "" );
+	for( var i = 0; i< str.length; i++ )
+	{
+		var v = BASE64.indexOf( str.charAt( i ));
+		if( v < 0 ) throw( "Invalid base64 data" );
+		n = (( n << 6 ) | v ) & 0xffff;
+		bits += 6;
+		if( bits >= 8 )
+		{
+			bits -= 8;
+			bytes.push(( n >> bits ) & 0xff );
+		}
+	}
+	return bytes;
+};
+
 /**
  * NDEF message type
  */
@@ -45,34 +257,140 @@ Message.prototype.getBytes = function()
 	var bytes = [];
 	for ( var i = 0; i < this.records.length; i++)
 	{
-		bytes = bytes.concat( this.records[i].getBytes( i == 0, i == this.records.length-1 ));
+		appendBytes( bytes, this.records[i].getBytes( i == 0, i == this.records.length-1 ));
 	}
 	return bytes;
 };
 
 /**
- * get as (our simplified) JSON representation
+ * get message as a Buffer (Uint8Array outside of node)
+ */
+Message.prototype.toBuffer = function()
+{
+	return toBuffer( this.getBytes());
+};
+
+/**
+ * JSON format version written by getJSON.  @see Message.prototype.toObject
+ */
+Message.JSON_VERSION = 1;
+
+/**
+ * get as (our simplified) JSON representation, a list of 
+ * { type, args } records.  pass true for the full format 
+ * (@see Message.prototype.toObject), which keeps everything 
+ * needed to write the message back exactly.
  */
-Message.prototype.getJSON = function()
+Message.prototype.getJSON = function( full )
 {
+	if( full ) return JSON.stringify( this.toObject(), null, "\t" );
+
 	var list = [];
 	for( var i in this.records )
 	{
-		list.push( this.records[i].getJSON());
+		list.push( recordJSON( this.records[i] ));
 	}
 	return JSON.stringify( list );
 };
 
 /**
- * parse the simplified JSON representation
+ * full JSON format, as an object.  see ndef-message.schema.json;
+ * viz:
+ *
+ * { "format": "ndef",
+ *   "version": 1,
+ *   "meta": { "name": "sample", ... },	// anything; kept but not used
+ *   "records": [
+ *     { "tnf": 1, 
+ *       "type": "U", 
+ *       "id": "0",					// optional
+ *       "payload": "A3d3dy5zZnRvb2x3b3Jrcy5jb20=",	// base64
+ *       "longFormat": true,		// optional: SR clear on a short payload
+ *       "chunks": [ { "length": 10 }, { "length": 2 } ],	// optional
+ *       "value": { "type": "U", "args": "http://www.sftoolworks.com" }
+ *     }
+ *   ]
+ * }
+ *
+ * the payload is authoritative; "value" is the simplified form
+ * of the record, for reading.  when loading, records with no 
+ * payload are built from "value" instead.
+ */
+Message.prototype.toObject = function()
+{
+	var obj = { format: "ndef", version: Message.JSON_VERSION };
+	if( this.meta ) obj.meta = this.meta;
+	obj.records = [];
+	
+	for( var i = 0; i< this.records.length; i++ )
+	{
+		var record = this.records[i];
+		var raw = Record.parseRaw( record.getBytes( false, false ), 0 );
+		
+		var entry = { tnf: record.TNF, type: record.type };
+		if( record.id ) entry.id = record.id;
+		entry.payload = encodeBase64( record.bytes );
+		if( record.longFormat && record.bytes.length < 0x100 ) entry.longFormat = true;
+		if( raw.header.chunked ) entry.chunks = record.chunks;
+		if( !( record instanceof GenericRecord )) entry.value = record.getJSON();
+		obj.records.push( entry );
+	}
+	return obj;
+};
+
+/**
+ * parse JSON: either format (@see Message.prototype.getJSON), as 
+ * a string or an object
  */
 Message.fromJSON = function( json )
 {
+	var obj = ( typeof( json ) == "string" ) ? JSON.parse( json ) : json;
+	if( Array.isArray( obj )) 
+	{
+		var msg = new Message();
+		for( var i in obj ) 
+		{
+			msg.records.push( Record.fromJSON( obj[i] ));
+		}
+		return msg;
+	}
+	return Message.fromObject( obj );
+};
+
+/**
+ * load the full JSON format, as an object
+ */
+Message.fromObject = function( obj )
+{
+	if( obj.format != "ndef" || !Array.isArray( obj.records )) throw( "Invalid JSON message" );
+	if( obj.version > Message.JSON_VERSION ) throw( "Unsupported JSON message version: " + obj.version );
+
 	var msg = new Message();
-	var list = JSON.parse( json );
-	for( var i in list ) 
+	if( obj.meta ) msg.meta = obj.meta;
+
+	for( var i = 0; i< obj.records.length; i++ )
 	{
-		msg.records.push( Record.fromJSON( list[i] ));
+		var entry = obj.records[i];
+		var record;
+		
+		if( typeof( entry.payload ) == "string" )
+		{
+			record = Record.create({ 
+				header: new Header(( entry.tnf & 0x07 ) | ( entry.longFormat ? 0 : 0x10 )),
+				type: entry.type || "",
+				id: entry.id || "",
+				payload: decodeBase64( entry.payload ),
+				chunks: entry.chunks
+			});
+		}
+		else if( entry.value )
+		{
+			record = Record.fromJSON( entry.value );
+			if( entry.id ) record.id = entry.id;
+			if( entry.longFormat ) record.longFormat = true;
+		}
+		else throw( "Record " + ( i + 1 ) + " has no payload or value" );
+		msg.records.push( record );
 	}
 	return msg;
 };
@@ -94,27 +412,216 @@ Message.prototype.toString = function()
 };
 
 /**
- * static parse method, from a byte string
- * FIXME: buffer type?
+ * static parse method, from an array, Buffer, Uint8Array or 
+ * ArrayBuffer.  chunked records are reassembled into one record.
  */
 Message.parse = function( data ){
 	
 	var msg = new Message();
 	var offset = 0;
-	var consumed = 0;
+
+	if( typeof( ArrayBuffer ) != "undefined" && data instanceof ArrayBuffer ) data = new Uint8Array( data );
 
 	msg.records = [];
 	while (offset < data.length)
 	{
-		var rslt = Record.parse(data, offset);
-		offset += rslt.consumed;
-		msg.records.push( rslt.record );
+		var raw = Record.parseRaw(data, offset);
+		offset += raw.consumed;
+
+		// first chunk has the type, TNF and ID; the rest are
+		// unchanged (TNF 0x06) records with payload only.  the
+		// last one has the chunk flag clear.
+		
+		if( raw.header.chunked )
+		{
+			var payload = copyBytes( raw.payload );
+			var chunks = [ chunkInfo( raw ) ];
+			var chunk;
+			do
+			{
+				if( offset >= data.length ) throw( "Invalid NDEF record data (incomplete chunked record)" );
+				chunk = Record.parseRaw( data, offset );
+				offset += chunk.consumed;
+				if( chunk.header.TNF != 0x06 || chunk.type.length || chunk.id.length ) 
+					throw( "Invalid NDEF record data (bad chunk)" );
+				appendBytes( payload, chunk.payload );
+				chunks.push( chunkInfo( chunk ));
+			}
+			while( chunk.header.chunked );
+			
+			// keep the chunk sizes (and format), so the record 
+			// serializes the same way
+
+			raw.payload = payload;
+			raw.chunks = chunks;
+			raw.header.shortRecord = !chunks[0].longFormat;
+		}
+		msg.records.push( Record.create( raw ));
 	}
 
 	return msg;
 	
 };
 
+/**
+ * default capacity (bytes) of the board's message targets.  
+ * change these, or pass a capacity to validate(), for other 
+ * boards or tags.
+ */
+Message.CAPACITY = 
+{
+	nfc: 2048,
+	nvm: 2048
+};
+
+/**
+ * problem codes for validation.  @see Message.prototype.validate
+ */
+Message.PROBLEM =
+{
+	EMPTY_MESSAGE:		"EMPTY_MESSAGE",
+	INVALID_DATA:		"INVALID_DATA",
+	BAD_FLAGS:			"BAD_FLAGS",
+	TYPE_TOO_LONG:		"TYPE_TOO_LONG",
+	ID_TOO_LONG:		"ID_TOO_LONG",
+	INVALID_URI_PREFIX:	"INVALID_URI_PREFIX",
+	INVALID_LANGUAGE:	"INVALID_LANGUAGE",
+	OVER_SR_LIMIT:		"OVER_SR_LIMIT",
+	OVER_CAPACITY:		"OVER_CAPACITY"
+};
+
+/**
+ * make a validation problem:
+ *
+ * { code: Message.PROBLEM.X, 
+ *   severity: "error",		// or "warning"
+ *   message: "readable description",
+ *   record: 0,				// index of the record, or -1 for the message
+ *   ...					// other fields, depending on the problem
+ * }
+ */
+function problem( code, message, record, severity, extra )
+{
+	var obj = { code: code, severity: severity || "error", message: message, record: record };
+	if( extra ) for( var key in extra ) obj[key] = extra[key];
+	return obj;
+};
+
+/**
+ * check the message for problems.  returns a list of problem 
+ * objects (empty if the message is OK); nothing is thrown.  options:
+ *
+ * { target: "nfc",			// or "nvm"; default checks both
+ *   capacity: { nfc: 2048, nvm: 2048 }	// default Message.CAPACITY
+ * }
+ *
+ * warnings are things that will work, but may not on every reader.
+ */
+Message.prototype.validate = function( options )
+{
+	options = options || {};
+	var list = [];
+	
+	if( this.records.length == 0 ) 
+		list.push( problem( Message.PROBLEM.EMPTY_MESSAGE, "Message has no records", -1 ));
+
+	for( var i = 0; i< this.records.length; i++ )
+	{
+		var problems = this.records[i].validate();
+		for( var j = 0; j< problems.length; j++ )
+		{
+			problems[j].record = i;
+			list.push( problems[j] );
+		}
+	}
+
+	// size; types or IDs over 255 bytes can't be encoded
+	
+	for( var i = 0; i< list.length; i++ )
+		if( list[i].code == Message.PROBLEM.TYPE_TOO_LONG || list[i].code == Message.PROBLEM.ID_TOO_LONG ) return list;
+	
+	var size = this.getBytes().length;
+	var capacity = options.capacity || {};
+	var targets = options.target ? [ options.target ] : [ "nfc", "nvm" ];
+	for( var i = 0; i< targets.length; i++ )
+	{
+		var limit = capacity[targets[i]] || Message.CAPACITY[targets[i]];
+		if( size > limit ) list.push( problem( Message.PROBLEM.OVER_CAPACITY, 
+			"Message is too long for " + targets[i].toUpperCase() + " (" + size + " bytes; limit is " + limit + ")", 
+			-1, "error", { target: targets[i], size: size, limit: limit }));
+	}
+	return list;
+};
+
+/**
+ * check a binary message (e.g. as read from a tag) for 
+ * problems.  checks record structure and flags, then parses
+ * the message and validates it (@see Message.prototype.validate).
+ * returns a list of problem objects.
+ */
+Message.validateBytes = function( data, options )
+{
+	var list = [];
+	var offset = 0, index = -1;
+	var chunked = false;
+
+	if( typeof( ArrayBuffer ) != "undefined" && data instanceof ArrayBuffer ) data = new Uint8Array( data );
+	if( data.length == 0 ) return [ problem( Message.PROBLEM.EMPTY_MESSAGE, "Message has no records", -1 ) ];
+
+	while( offset < data.length )
+	{
+		// chunks after the first are part of the same record
+		if( !chunked ) index++;
+
+		var raw;
+		try
+		{
+			raw = Record.parseRaw( data, offset );
+		}
+		catch( ex )
+		{
+			list.push( problem( Message.PROBLEM.INVALID_DATA, String( ex ), index, "error", { offset: offset }));
+			return list;
+		}
+		
+		var first = ( offset == 0 );
+		offset += raw.consumed;
+		var last = ( offset >= data.length );
+		
+		// MB on the first record only; ME on the last only
+		
+		if( !!raw.header.messageBegin != first ) list.push( problem( Message.PROBLEM.BAD_FLAGS, 
+			first ? "First record is missing the MB flag" : "MB flag set on a record after the first", index ));
+		if( !!raw.header.messageEnd != last ) list.push( problem( Message.PROBLEM.BAD_FLAGS, 
+			last ? "Last record is missing the ME flag" : "ME flag set before the last record", index ));
+		if( last && raw.header.chunked ) list.push( problem( Message.PROBLEM.BAD_FLAGS, 
+			"Chunked record is incomplete", index ));
+		
+		chunked = !!raw.header.chunked;
+	}
+	if( list.length ) return list;
+	
+	try
+	{
+		return Message.parse( data ).validate( options );
+	}
+	catch( ex )
+	{
+		return [ problem( Message.PROBLEM.INVALID_DATA, String( ex ), -1 ) ];
+	}
+};
+
+/**
+ * size and format of one chunk of a record, { length, longFormat }.
+ * longFormat is only set where the short format (SR) would fit.
+ */
+function chunkInfo( raw )
+{
+	var info = { length: raw.payload.length };
+	if( !raw.header.shortRecord && raw.payload.length < 0x100 ) info.longFormat = true;
+	return info;
+};
+
 /**
  * NDEF record header type.  in a record, this
  * is represented as a bitfield
@@ -170,52 +677,160 @@ function Record()
 };
 
 /**
- * type name -> constructor map for subtypes.  @see Record.Extend
+ * (TNF, type name) -> constructor map for subtypes.  @see Record.Extend
  */
 Record.typeKeys = {};
 
 /**
- * register a subtype.  maps the type name to the class constructor.  @see Record.Extend
+ * TNF -> constructor map, for subtypes that handle any type
+ * name with a given TNF (e.g. MIME types).  @see Record.registerTNF
+ */
+Record.tnfKeys = {};
+
+/**
+ * JSON type name -> constructor map.  the JSON name is the type 
+ * name, unless the subtype sets a different one.  @see Record.Extend
+ */
+Record.jsonKeys = {};
+
+/**
+ * key for the typeKeys map
+ */
+Record.key = function( tnf, type )
+{
+	return tnf + ":" + type;
+};
+
+/**
+ * register a subtype.  maps the TNF and type name (and JSON name) 
+ * to the class constructor.  @see Record.Extend
  */
 Record.registerType = function( cls )
 {
-	this.typeKeys[cls.prototype.type] = function(args){ return new cls( args ); };
+	var ctor = function(args, type){ return new cls( args, type ); };
+	this.typeKeys[this.key( cls.prototype.TNF, cls.prototype.type )] = ctor;
+	this.jsonKeys[cls.prototype.jsonType || cls.prototype.type] = ctor;
+};
+
+/**
+ * register a subtype as the handler for all records with
+ * the given TNF, where the type name doesn't match anything
+ * else.  the constructor gets the record type as its second
+ * argument.
+ */
+Record.registerTNF = function( cls, tnf )
+{
+	this.tnfKeys[tnf] = function(args, type){ return new cls( args, type ); };
+};
+
+/**
+ * external type name (lowercase) -> codec map.  @see Record.registerExternal
+ */
+Record.externalCodecs = {};
+
+/**
+ * register a payload codec for an external type (TNF 0x04) name,
+ * such as "example.com:mytype".  records of that type are parsed
+ * with the codec, and can be written in JSON using the type name:
+ *
+ * { "type": "example.com:mytype", "args": value }
+ *
+ * a codec has two functions:
+ *
+ * encode( value ):	returns payload bytes
+ * decode( bytes ):	returns the value; throw if the payload is invalid
+ *
+ * @see ExternalTypeRecord.JSON_CODEC, ExternalTypeRecord.TEXT_CODEC
+ */
+Record.registerExternal = function( type, codec )
+{
+	this.externalCodecs[type.toLowerCase()] = codec;
+	this.jsonKeys[type] = function(args){ return new ExternalTypeRecord({ type: type, value: args }); };
 };
 
 /**
  * parse (simplified) JSON version of this record; essentially, just
- * call the constructor with the arguments field.
+ * call the constructor with the args field.
  */
 Record.fromJSON = function( obj )
 {
-	var ctor = this.typeKeys[obj.type];
+	var ctor = this.jsonKeys[obj.type];
 	if ( null == ctor || typeof( ctor ) == "undefined" )
 	{
 		throw "Type not found: " + obj.type;
 	}
-	return new this.typeKeys[obj.type]( obj.args );
+	var record = new this.jsonKeys[obj.type]( obj.args );
+	if( obj.id ) record.id = obj.id;
+	return record;
 };
 
 /**
- * get binary version of the record
+ * JSON version of a record, with the record ID if it has one
  */
-Record.prototype.getBytes = function( first, last )
+function recordJSON( record )
 {
-	var header = new Header();
-	var bytes = [];
-	header.messageBegin = first;
-	header.messageEnd = last;
-	header.TNF = this.TNF;
+	var json = record.getJSON();
+	if( record.id ) json.id = record.id;
+	return json;
+};
 
+/**
+ * get binary version of the record.  records that were read 
+ * as chunks are written as the same chunks.
+ */
+Record.prototype.getBytes = function( first, last )
+{
 	var data = this.bytes;
-	header.shortRecord = data.length < 0x100;
+	var id = this.id || "";
+	
+	// write chunks if the record was read that way (and 
+	// the payload still matches)
+	
+	var chunks = [{ length: data.length, longFormat: this.longFormat }];
+	if( this.chunks && this.chunks.length > 1 )
+	{
+		var total = 0;
+		for( var i = 0; i< this.chunks.length; i++ ) total += this.chunks[i].length;
+		if( total == data.length ) chunks = this.chunks;
+	}
+	
+	var bytes = [];
+	var offset = 0;
+	for( var i = 0; i< chunks.length; i++ )
+	{
+		var header = new Header();
+		header.messageBegin = first && i == 0;
+		header.messageEnd = last && i == chunks.length - 1;
+		header.chunked = i < chunks.length - 1;
+		header.TNF = ( i == 0 ) ? this.TNF : 0x06;
+		
+		writeRecord( bytes, header, ( i == 0 ) ? this.type : "", ( i == 0 ) ? id : "", 
+			data.slice( offset, offset + chunks[i].length ), chunks[i].longFormat );
+		offset += chunks[i].length;
+	}
+	return bytes;
 
-	// header and type length 
+};
+
+/**
+ * write one record (or chunk) to bytes.  uses the short 
+ * format (SR) where the payload fits, unless longFormat is set.
+ * type and ID are written as UTF-8.
+ */
+function writeRecord( bytes, header, type, id, data, longFormat )
+{
+	var typeBytes = encodeUTF8( type );
+	var idBytes = encodeUTF8( id );
+
+	header.shortRecord = data.length < 0x100 && !longFormat;
+	header.IDLength = idBytes.length > 0;
+
+	// header and type length 
 
 	bytes.push( header.toByte());
-	bytes.push( this.type.length );    
+	bytes.push( typeBytes.length );    
 
-	// record length: 1 or 2 bytes depending on length and SR
+	// record length: 1 or 4 bytes depending on length and SR
 
 	if (header.shortRecord) bytes.push( data.length );
 	else
@@ -226,37 +841,113 @@ Record.prototype.getBytes = function( first, last )
 		bytes.push((data.length & 0xff));
 	}
 
-	// type 
-	for( var i = 0; i< this.type.length; i++ ) bytes.push( this.type.charCodeAt( i ));
+	// ID length, if there is an ID
+	if (header.IDLength) bytes.push( idBytes.length );
+
+	// type and ID
+	appendBytes( bytes, typeBytes );
+	appendBytes( bytes, idBytes );
 
 	// data
-	bytes = bytes.concat(data);
+	return appendBytes( bytes, data );
+};
+
+/**
+ * get JSON version of the record
+ */
+Record.prototype.getJSON = function()
+{
+	return { type: this.jsonType || this.type };
+};
 
+/**
+ * problems in a nested message (e.g. in a smart poster), with
+ * the nested record index in the "nested" field
+ */
+function validateNested( message, name )
+{
+	var list = [];
+	for( var i = 0; i< message.records.length; i++ )
+	{
+		var problems = message.records[i].validate();
+		for( var j = 0; j< problems.length; j++ )
+		{
+			problems[j].nested = i;
+			problems[j].message = name + " record " + ( i + 1 ) + ": " + problems[j].message;
+			list.push( problems[j] );
+		}
+	}
+	return list;
+};
+
+/**
+ * payload of a record that holds a message (smart poster, 
+ * handover select), given any bytes before the message.  a
+ * payload that was read is kept as it was until the nested
+ * records change, as writing the message again isn't always 
+ * byte-exact (e.g. if the MB and ME flags were wrong).
+ * nestedBytes is the message as written when it was read.
+ */
+function nestedPayload( record, prefix )
+{
+	var bytes = prefix.concat( record.message.getBytes());
+	if( record.nestedBytes && sameBytes( bytes, record.nestedBytes )) return record.bytes;
+	record.nestedBytes = null;
 	return bytes;
+};
 
+/**
+ * check the record for problems; returns a list of problem
+ * objects.  subtypes add their own checks.  @see Message.prototype.validate
+ */
+Record.prototype.validate = function()
+{
+	var list = [];
+	var typeLength = encodeUTF8( this.type ).length;
+	var idLength = encodeUTF8( this.id || "" ).length;
+	if( typeLength > 0xff ) list.push( problem( Message.PROBLEM.TYPE_TOO_LONG, 
+		"Record type is too long (" + typeLength + " bytes; limit is 255)", -1 ));
+	if( idLength > 0xff ) list.push( problem( Message.PROBLEM.ID_TOO_LONG, 
+		"Record ID is too long (" + idLength + " bytes; limit is 255)", -1 ));
+	if( this.bytes.length > 0xff ) list.push( problem( Message.PROBLEM.OVER_SR_LIMIT, 
+		"Payload is over the short record limit (" + this.bytes.length + " bytes); some readers only support short records", 
+		-1, "warning" ));
+	return list;
 };
 
 /**
- * get JSON version of the record
+ * default parse: keep the payload as bytes
  */
-Record.prototype.getJSON = function()
+Record.prototype.parse = function( data )
 {
-	return { type: this.type };
+	this.bytes = copyBytes( data );
 };
 
 /**
  * static parse method from bytes (string)
- * FIXME: buffer type?
  */
 Record.parse = function( data, offset )
+{
+	var raw = this.parseRaw( data, offset );
+	return { consumed: raw.consumed, record: this.create( raw ) };
+};
+
+/**
+ * read the parts of one record (or chunk) from bytes: returns
+ * { header, type, id, payload, consumed }.  data can be any 
+ * array-like; the payload is a slice of the same type.
+ */
+Record.parseRaw = function( data, offset )
 {
 	var ptr = offset;
 	var header;
 	var typeLen = 0;
+	var idLen = 0;
 	var recordLen = 0;
 	var recordType = "";
+	var recordID = "";
 
-	if (data.length - ptr < 4) throw ("Invalid NDEF record data");
+	if (data.length - ptr < 3) throw ("Invalid NDEF record data");
 
 	header = new Header( data[ptr++] );
 	typeLen = data[ptr++];
@@ -269,27 +960,63 @@ Record.parse = function( data, offset )
 		len.push( data[ptr++]);
 		len.push( data[ptr++]);
 		len.push( data[ptr++]);
-		recordLen = ((len[0] << 24) | (len[1] << 16) | (len[2] << 8) | len[3]);
+		recordLen = ((len[0] << 24) | (len[1] << 16) | (len[2] << 8) | len[3]) >>> 0;
 	}
 
-	for( var i = 0; i < typeLen; i++)
-		recordType += String.fromCharCode(data[ptr++]);
+	if (header.IDLength) idLen = data[ptr++];
+	if (data.length - ptr < typeLen + idLen) throw ("Invalid NDEF record data");
+
+	// type and ID are UTF-8 (normally ASCII)
+	var typeBytes = [], idBytes = [];
+	for( var i = 0; i < typeLen; i++) typeBytes.push( data[ptr++] );
+	for( var i = 0; i < idLen; i++) idBytes.push( data[ptr++] );
+	recordType = decodeText( typeBytes );
+	recordID = decodeText( idBytes );
 
 	if( data.length - ptr < recordLen ) throw ( "Invalid NDEF record data (len " 
 		+ recordLen + "/" + (data.length-ptr) + ")" );
 
-	var recordData = data.slice( ptr, ptr + recordLen );
-	var consumed = ptr - offset + recordLen;
+	return { 
+		header: header, 
+		type: recordType, 
+		id: recordID,
+		payload: data.slice ? data.slice( ptr, ptr + recordLen ) : data.subarray( ptr, ptr + recordLen ), 
+		consumed: ptr - offset + recordLen 
+	};
+};
 
-	for( var type in this.typeKeys )
+/**
+ * create a record from parts (@see Record.parseRaw).  finds the 
+ * subtype by TNF and type, then by TNF; anything else, or a
+ * record the subtype can't parse, is kept as a generic record.
+ */
+Record.create = function( raw )
+{
+	var record;
+	var ctor = this.typeKeys[this.key( raw.header.TNF, raw.type )] || this.tnfKeys[raw.header.TNF];
+	var payload = toArray( raw.payload );
+	if( ctor )
 	{
-		if( recordType == type ) 
+		// a payload the subtype can't read is kept as it is
+		try
+		{
+			record = ctor( payload, raw.type );
+		}
+		catch( ex )
 		{
-			return { consumed: consumed, record: this.typeKeys[type]( recordData ) };
+			record = null;
 		}
 	}
-	throw ("Unsupported record type: " + recordType);
+	if( !record ) record = new GenericRecord( payload, raw.type, raw.header.TNF );
 
+	if( raw.id.length ) record.id = raw.id;
+	if( raw.chunks ) record.chunks = raw.chunks;
+
+	// keep the long format if that's what we read, so the
+	// record serializes the same way
+	
+	if( !raw.header.shortRecord ) record.longFormat = true;
+	return record;
 
 };
 
@@ -300,57 +1027,129 @@ Record.parse = function( data, offset )
  * in order to support generic record creation from a byte
  * stream, the record prototype needs to be able to find the
  * type-specific constructor.  we map those to type values
- * by name. since we're calling this method for each subtype,
- * it also handles the traditional extension mechanism
+ * by name (and TNF). since we're calling this method for each 
+ * subtype, it also handles the traditional extension mechanism
  * via prototype.
+ *
+ * jsonType is the name used in JSON, if that's not the type
+ * name (e.g. where the type name is empty or varies).
  */
-Record.extend = function( cls, type, tnf )
+Record.extend = function( cls, type, tnf, jsonType )
 {
 	cls.prototype = new Record();
 	cls.prototype.type = type;
 	if( typeof( tnf ) != "undefined" ) cls.prototype.TNF = tnf;	
+	if( typeof( jsonType ) != "undefined" ) cls.prototype.jsonType = jsonType;
 	Record.registerType( cls );
 }
 
 /**
- * well-known type T (text), with language ID field.
- * FIXME: support alternate encodings
+ * binary payload from JSON arguments, one of
+ *
+ * { text: "UTF-8 text" }
+ * { base64: "AAEC..." }
+ * { data: [ bytes ] }
+ */
+function payloadFromJSON( args )
+{
+	if( null == args || typeof( args ) == "undefined" ) return [];
+	if( typeof( args.text ) == "string" ) return encodeUTF8( args.text );
+	if( typeof( args.base64 ) == "string" ) return decodeBase64( args.base64 );
+	if( args.data ) return copyBytes( args.data );
+	return [];
+};
+
+/**
+ * well-known type T (text), with language ID field.  the
+ * status byte holds the encoding (bit 7 set for UTF-16, 
+ * clear for UTF-8) and the length of the language code.
+ *
+ * construct with text and an optional language code, or 
+ * an arguments object as in JSON:
+ *
+ * { text: "bonjour", lang: "fr", encoding: "utf-8" }
  */
-function TextRecord( cdata )
+function TextRecord( cdata, lang )
 {
 	this.text = "";
 	this.lang = "en";
+	this.encoding = "utf-8";
 		
-	if( typeof( cdata ) == "string" ) this.reset( cdata );
-	else if( typeof( cdata ) != "undefined" ) this.parse( cdata );
+	if( typeof( cdata ) == "string" ) 
+	{
+		if( typeof( lang ) == "string" ) this.lang = lang;
+		this.reset( cdata );
+	}
+	else if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	else if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else
+	{
+		if( cdata.lang ) this.lang = cdata.lang;
+		if( cdata.encoding ) this.encoding = cdata.encoding.toLowerCase();
+		this.reset( cdata.text || "" );
+	}
 		
 };
 Record.extend( TextRecord, "T" );
 
+/** status byte: UTF-16 flag and language code length */
+TextRecord.UTF16 = 0x80;
+TextRecord.LANG_LENGTH_MASK = 0x3f;
+
 /**
  * parse a text record from byte stream
  */
 TextRecord.prototype.parse = function( data )
 {
-	this.bytes = [];
-	this.bytes = this.bytes.concat( data );
-	if (this.bytes.length < 3) this.bytes = [ 2, 'e'.charCodeAt(0), 'n'.charCodeAt(0) ];
-	this.lang = String.fromCharCode( this.bytes[1] ) + String.fromCharCode( this.bytes[2] );
-	this.text = "";
-	for( var i = 3; i< this.bytes.length; i++ ) this.text += String.fromCharCode( this.bytes[i] );
+	this.bytes = copyBytes( data );
+	if (this.bytes.length < 1) this.bytes = [ 2, 'e'.charCodeAt(0), 'n'.charCodeAt(0) ];
+
+	var status = this.bytes[0];
+	var langLength = Math.min( status & TextRecord.LANG_LENGTH_MASK, this.bytes.length - 1 );
+	
+	this.lang = "";
+	for( var i = 1; i<= langLength; i++ ) this.lang += String.fromCharCode( this.bytes[i] );
+
+	var text = this.bytes.slice( 1 + langLength );
+	if( status & TextRecord.UTF16 )
+	{
+		this.encoding = "utf-16";
+		this.text = decodeUTF16( text );
+	}
+	else
+	{
+		this.encoding = "utf-8";
+		this.text = decodeText( text );
+	}
+};
+
+/**
+ * check the record for problems: the language code should 
+ * be an IANA (RFC 5646) code like "en" or "en-US"
+ */
+TextRecord.prototype.validate = function()
+{
+	var list = Record.prototype.validate.call( this );
+	if( !/^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/.test( this.lang ) || this.lang.length > TextRecord.LANG_LENGTH_MASK )
+		list.push( problem( Message.PROBLEM.INVALID_LANGUAGE, "Invalid language code: \"" + this.lang + "\"", -1 ));
+	return list;
 };
 
 /**
- * construct a text record from text
- * FIXME: language ID
+ * construct a text record from text, using the current
+ * language code and encoding
  */
 TextRecord.prototype.reset = function( text )
 {
+	if( this.lang.length > TextRecord.LANG_LENGTH_MASK ) throw( "Language code is too long: " + this.lang );
+	
+	var utf16 = ( this.encoding == "utf-16" || this.encoding == "utf16" );
+	this.encoding = utf16 ? "utf-16" : "utf-8";
 	this.text = text;
 	this.bytes = [];
-	this.bytes.push( this.lang.length );
-	for( var i = 0; i< this.lang.length; i++ ) this.bytes.push( this.lang.charCodeAt( i ));
-	for( var i = 0; i< this.text.length; i++ ) this.bytes.push( this.text.charCodeAt( i ));
+	this.bytes.push( this.lang.length | ( utf16 ? TextRecord.UTF16 : 0 ));
+	for( var i = 0; i< this.lang.length; i++ ) this.bytes.push( this.lang.charCodeAt( i ) & 0x7f );
+	appendBytes( this.bytes, utf16 ? encodeUTF16( text ) : encodeUTF8( text ));
 };
 
 /**
@@ -358,7 +1157,8 @@ TextRecord.prototype.reset = function( text )
  */
 TextRecord.prototype.toString = function()
 {
-	return "NDEF Text Record, length " + this.text.length + "\n"
+	return "NDEF Text Record, length " + this.text.length 
+		+ " (" + this.lang + ", " + this.encoding + ")\n"
 		+ this.text + "\n"; 
 };
 
@@ -369,7 +1169,11 @@ TextRecord.prototype.toString = function()
  */
 TextRecord.prototype.getJSON = function()
 {
-	return { type: this.type, args: this.text };
+	if( this.lang == "en" && this.encoding == "utf-8" ) return { type: this.type, args: this.text };
+	
+	var args = { text: this.text, lang: this.lang };
+	if( this.encoding != "utf-8" ) args.encoding = this.encoding;
+	return { type: this.type, args: args };
 };
 
 /**
@@ -390,21 +1194,19 @@ Record.extend( URIRecord, "U" );
 URIRecord.prototype.reset = function(uri)
 {
 	this.URI = uri;
-	this.bytes = [];
 	var protocol = 0;
 	var lc = uri.toLowerCase();
 		
-	// start by finding protocol abbreviation
-	for( protocol = 1; protocol <= this.ProtocolList.length; protocol++ )
-		if( lc.match( new RegExp( "^" + this.ProtocolList[protocol] ))) break;
+	// start by finding protocol abbreviation (the longest match)
+	for( var i = 1; i< this.ProtocolList.length; i++ )
+	{
+		if( lc.indexOf( this.ProtocolList[i] ) == 0 
+			&& this.ProtocolList[i].length > this.ProtocolList[protocol].length ) protocol = i;
+	}
 
-	// now stuff this into a byte array
-	if( protocol >= this.ProtocolList.length) protocol = 0;
+	// now stuff this into a byte array, as UTF-8
 	var remainder = uri.substr(this.ProtocolList[protocol].length);
-	var ct = remainder.length;
-
-	this.bytes[0] = protocol;
-	for( var i = 0; i< remainder.length; i++ ) this.bytes.push( remainder.charCodeAt( i ));
+	this.bytes = [ protocol ].concat( encodeUTF8( remainder ));
 };
 
 /**
@@ -416,17 +1218,20 @@ URIRecord.prototype.parse = function(data)
 	if (data.length < 1) return;
 	var protocol = data[0];
 	if (protocol >= this.ProtocolList.length) protocol = 0;
-	this.URI = this.ProtocolList[protocol];
+	this.bytes = copyBytes( data );
+	this.URI = this.ProtocolList[protocol] + decodeText( this.bytes.slice( 1 ));
+};
 
-    if( data.length > 1 )
-	{
-        for (var i = 1; i < data.length; i++) {
-            this.URI += String.fromCharCode(data[i]);
-        }
-	}
-	
-	this.bytes = [];
-	this.bytes = this.bytes.concat( data );
+/**
+ * check the record for problems: the prefix code should be
+ * one we know (codes above the list are reserved)
+ */
+URIRecord.prototype.validate = function()
+{
+	var list = Record.prototype.validate.call( this );
+	if( this.bytes.length > 0 && this.bytes[0] >= this.ProtocolList.length )
+		list.push( problem( Message.PROBLEM.INVALID_URI_PREFIX, "Invalid URI prefix code 0x" + this.bytes[0].toString( 16 ), -1 ));
+	return list;
 };
 
 /**
@@ -504,8 +1309,7 @@ Record.extend( AndroidApplicationRecord, "android.com:pkg", 0x04 ); // note not
  */
 AndroidApplicationRecord.prototype.parse = function( data )
 {
-	this.bytes = [];
-	this.bytes = this.bytes.concat( data );
+	this.bytes = copyBytes( data );
 	this.packageName = "";
 	for( var i = 0; i< data.length; i++ ) this.packageName += String.fromCharCode( data[i] );
 };
@@ -536,14 +1340,1847 @@ AndroidApplicationRecord.prototype.getJSON = function()
 	return { type: this.type, args: this.packageName };
 };
 
+/**
+ * external type record (TNF 0x04), for type names like
+ * "example.com:mytype".  the payload is binary unless a codec
+ * is registered for the type (@see Record.registerExternal), in
+ * which case the decoded value is in the value field.  
+ * construct with payload bytes and the type name, or an 
+ * arguments object as in JSON:
+ *
+ * { type: "example.com:mytype", base64: "..." }	// or text, data
+ * { type: "example.com:mytype", value: ... }		// with a codec
+ *
+ * types with a codec can also be written in JSON using the
+ * type name, with the value as arguments.
+ */
+function ExternalTypeRecord( cdata, type )
+{
+	this.bytes = [];
+	this.value = undefined;
+	
+	if( typeof( type ) == "string" ) this.type = type;
+	if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	if( typeof( cdata.length ) == "number" && typeof( cdata ) != "string" ) this.parse( cdata );
+	else this.reset( cdata );
+};
+Record.extend( ExternalTypeRecord, "", 0x04, "external" );
+Record.registerTNF( ExternalTypeRecord, 0x04 );
+
+/**
+ * codec for JSON payloads (as UTF-8 text)
+ */
+ExternalTypeRecord.JSON_CODEC = 
+{
+	encode: function( value ){ return encodeUTF8( JSON.stringify( value )); },
+	decode: function( bytes ){ return JSON.parse( decodeUTF8( bytes )); }
+};
+
+/**
+ * codec for UTF-8 text payloads
+ */
+ExternalTypeRecord.TEXT_CODEC = 
+{
+	encode: function( value ){ return encodeUTF8( String( value )); },
+	decode: function( bytes ){ return decodeUTF8( bytes ); }
+};
+
+/**
+ * codec for this record's type, if any
+ */
+ExternalTypeRecord.prototype.getCodec = function()
+{
+	return Record.externalCodecs[ this.type.toLowerCase() ];
+};
+
+/**
+ * parse from byte stream.  if the codec can't decode the 
+ * payload, the record is kept as binary.
+ */
+ExternalTypeRecord.prototype.parse = function( data )
+{
+	this.bytes = copyBytes( data );
+	this.value = undefined;
+	
+	var codec = this.getCodec();
+	if( codec )
+	{
+		try
+		{
+			this.value = codec.decode( this.bytes.slice( 0 ));
+		}
+		catch( ex ) {}
+	}
+};
+
+/**
+ * create from arguments (see constructor)
+ */
+ExternalTypeRecord.prototype.reset = function( args )
+{
+	if( args.type ) this.type = args.type;
+	if( !/^[^:]+:.+$/.test( this.type )) throw( "Invalid external type name: " + this.type );
+
+	if( typeof( args.value ) != "undefined" ) this.setValue( args.value );
+	else this.parse( payloadFromJSON( args ));
+};
+
+/**
+ * set the value, and encode it with the codec
+ */
+ExternalTypeRecord.prototype.setValue = function( value )
+{
+	var codec = this.getCodec();
+	if( !codec ) throw( "No codec registered for type " + this.type );
+	this.value = value;
+	this.bytes = copyBytes( codec.encode( value ));
+};
+
+/**
+ * the decoded value, or undefined if there's no codec
+ */
+ExternalTypeRecord.prototype.getValue = function()
+{
+	return this.value;
+};
+
+/**
+ * string representation
+ */
+ExternalTypeRecord.prototype.toString = function()
+{
+	var str = "NDEF External Type Record: " + this.type + ", length " + this.bytes.length + "\n";
+	if( typeof( this.value ) != "undefined" ) str += JSON.stringify( this.value ) + "\n";
+	return str;
+};
+
+/**
+ * return JSON representation.  decoded values are stored under
+ * the type name where it matches the registered name; anything 
+ * else as base64.
+ */
+ExternalTypeRecord.prototype.getJSON = function()
+{
+	if( typeof( this.value ) == "undefined" ) 
+		return { type: this.jsonType, args: { type: this.type, base64: encodeBase64( this.bytes ) }};
+	if( Record.jsonKeys[this.type] ) return { type: this.type, args: this.value };
+	return { type: this.jsonType, args: { type: this.type, value: this.value }};
+};
+
+/**
+ * MIME media record (TNF 0x02).  the record type is the MIME
+ * type, e.g. "image/png"; the payload is binary.  construct 
+ * with an arguments object, as in JSON:
+ *
+ * { mimeType: "application/json", text: "{...}" }
+ * { mimeType: "image/png", base64: "iVBORw0..." }
+ * { mimeType: "image/png", data: [ bytes ] }
+ *
+ * or with payload bytes and the MIME type.
+ */
+function MimeRecord( cdata, mimeType )
+{
+	this.bytes = [];
+	
+	if( typeof( mimeType ) == "string" ) this.type = mimeType;
+	if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	if( typeof( cdata.length ) == "number" && typeof( cdata ) != "string" ) this.parse( cdata );
+	else this.reset( cdata );
+	
+};
+Record.extend( MimeRecord, "application/octet-stream", 0x02, "mime" );
+Record.registerTNF( MimeRecord, 0x02 );
+
+/**
+ * create record from arguments (see constructor)
+ */
+MimeRecord.prototype.reset = function( args )
+{
+	if( args.mimeType ) this.type = args.mimeType;
+	this.bytes = payloadFromJSON( args );
+};
+
+/**
+ * true if the MIME type is a text type, so the 
+ * payload can be shown (and stored in JSON) as text
+ */
+MimeRecord.prototype.isText = function()
+{
+	return /^text\/|[\/\+](json|xml)$|^application\/javascript$/i.test( this.type );
+};
+
+/**
+ * payload as text (UTF-8).  returns null if the
+ * payload is not valid UTF-8.
+ */
+MimeRecord.prototype.getText = function()
+{
+	try 
+	{
+		return decodeUTF8( this.bytes );
+	}
+	catch( ex )
+	{
+		return null;
+	}
+};
+
+/**
+ * string representation
+ */
+MimeRecord.prototype.toString = function()
+{
+	var str = "NDEF MIME Record: " + this.type + ", length " + this.bytes.length + "\n";
+	var text = this.isText() ? this.getText() : null;
+	if( null != text ) str += text + "\n";
+	return str;
+};
+
+/**
+ * return JSON representation.  text types are stored as
+ * text, anything else as base64.
+ */
+MimeRecord.prototype.getJSON = function()
+{
+	var args = { mimeType: this.type };
+	var text = this.isText() ? this.getText() : null;
+	if( null != text ) args.text = text;
+	else args.base64 = encodeBase64( this.bytes );
+	return { type: this.jsonType, args: args };
+};
+
+/**
+ * absolute URI record (TNF 0x03).  the type name is the URI;
+ * there may also be a payload.  construct with a URI, or an
+ * arguments object as in JSON:
+ *
+ * { uri: "http://www.some.thing/schema", base64: "..." }
+ */
+function AbsoluteURIRecord( cdata, uri )
+{
+	this.bytes = [];
+	if( typeof( uri ) == "string" ) this.type = uri;
+
+	if( typeof( cdata ) == "string" ) this.reset({ uri: cdata });
+	else if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	else if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else this.reset( cdata );
+};
+Record.extend( AbsoluteURIRecord, "", 0x03, "absoluteURI" );
+Record.registerTNF( AbsoluteURIRecord, 0x03 );
+
+/**
+ * create record from arguments (see constructor)
+ */
+AbsoluteURIRecord.prototype.reset = function( args )
+{
+	this.type = args.uri || "";
+	this.bytes = payloadFromJSON( args );
+};
+
+/**
+ * string representation
+ */
+AbsoluteURIRecord.prototype.toString = function()
+{
+	return "NDEF Absolute URI Record: " + this.type + ", length " + this.bytes.length + "\n";
+};
+
+/**
+ * return JSON representation 
+ */
+AbsoluteURIRecord.prototype.getJSON = function()
+{
+	var args = { uri: this.type };
+	if( this.bytes.length ) args.base64 = encodeBase64( this.bytes );
+	return { type: this.jsonType, args: args };
+};
+
+/**
+ * empty record (TNF 0x00), no type or payload
+ */
+function EmptyRecord()
+{
+	this.bytes = [];
+};
+Record.extend( EmptyRecord, "", 0x00, "empty" );
+
+/**
+ * empty records have no payload
+ */
+EmptyRecord.prototype.parse = function( data )
+{
+	this.bytes = [];
+};
+
+/**
+ * string representation
+ */
+EmptyRecord.prototype.toString = function()
+{
+	return "NDEF Empty Record\n";
+};
+
+/**
+ * unknown record (TNF 0x05), no type and a binary payload.  
+ * construct with payload bytes or { base64: "..." }.
+ */
+function UnknownRecord( cdata )
+{
+	this.bytes = [];
+	if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else this.bytes = payloadFromJSON( cdata );
+};
+Record.extend( UnknownRecord, "", 0x05, "unknown" );
+
+/**
+ * string representation
+ */
+UnknownRecord.prototype.toString = function()
+{
+	return "NDEF Unknown Record, length " + this.bytes.length + "\n";
+};
+
+/**
+ * return JSON representation 
+ */
+UnknownRecord.prototype.getJSON = function()
+{
+	return { type: this.jsonType, args: { base64: encodeBase64( this.bytes ) }};
+};
+
+/**
+ * unchanged record (TNF 0x06), the middle and last chunks
+ * of a chunked record.  construct with payload bytes or 
+ * { base64: "..." }.
+ */
+function UnchangedRecord( cdata )
+{
+	this.bytes = [];
+	if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else this.bytes = payloadFromJSON( cdata );
+};
+Record.extend( UnchangedRecord, "", 0x06, "unchanged" );
+
+/**
+ * string representation
+ */
+UnchangedRecord.prototype.toString = function()
+{
+	return "NDEF Unchanged (chunk) Record, length " + this.bytes.length + "\n";
+};
+
+/**
+ * return JSON representation 
+ */
+UnchangedRecord.prototype.getJSON = function()
+{
+	return { type: this.jsonType, args: { base64: encodeBase64( this.bytes ) }};
+};
+
+/**
+ * any record we don't have a subtype for.  keeps the TNF, 
+ * type and payload as-is, so it serializes the way it was
+ * read.  construct with payload bytes, type and TNF, or an
+ * arguments object as in JSON:
+ *
+ * { tnf: 1, type: "xyz", base64: "..." }
+ */
+function GenericRecord( cdata, type, tnf )
+{
+	this.bytes = [];
+	if( typeof( type ) == "string" ) this.type = type;
+	if( typeof( tnf ) == "number" ) this.TNF = tnf;
+	
+	if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else this.reset( cdata );
+};
+
+// registered for JSON only; for parsing, this is the fallback
+
+GenericRecord.prototype = new Record();
+GenericRecord.prototype.jsonType = "generic";
+Record.jsonKeys["generic"] = function(args){ return new GenericRecord( args ); };
+
+/**
+ * create record from arguments (see constructor)
+ */
+GenericRecord.prototype.reset = function( args )
+{
+	this.type = args.type || "";
+	this.TNF = ( typeof( args.tnf ) == "number" ) ? args.tnf : 0x05;
+	this.bytes = payloadFromJSON( args );
+};
+
+/**
+ * string representation
+ */
+GenericRecord.prototype.toString = function()
+{
+	return "NDEF Record (TNF " + this.TNF + ") type " + this.type 
+		+ ", length " + this.bytes.length + "\n";
+};
+
+/**
+ * return JSON representation 
+ */
+GenericRecord.prototype.getJSON = function()
+{
+	return { type: this.jsonType, args: { 
+		tnf: this.TNF, type: this.type, base64: encodeBase64( this.bytes ) }};
+};
+
+/**
+ * Smart Poster record (well-known type Sp).  the payload is a
+ * nested NDEF message, with a URI record and optional title (T), 
+ * action (act), size (s), type (t) and icon (MIME) records.
+ * construct with a URI, payload bytes, or an arguments object,
+ * as in JSON:
+ *
+ * { uri: "http://www.some.thing",
+ *   titles: { "en": "some thing", "fr": "quelque chose" },
+ *   action: "open", 		// or "do", "save", or a number
+ *   size: 1234,			// size of the linked content
+ *   mimeType: "text/html",	// type of the linked content
+ *   records: [ ... ]		// anything else, as JSON records
+ * }
+ *
+ * the nested message is in the message field; use the accessors
+ * or edit it directly.
+ */
+function SmartPosterRecord( cdata )
+{
+	this.message = new Message();
+
+	if( typeof( cdata ) == "string" ) this.reset({ uri: cdata });
+	else if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	else if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else this.reset( cdata );
+	
+};
+Record.extend( SmartPosterRecord, "Sp" );
+
+/** action record values */
+SmartPosterRecord.ACTION = 
+{
+	DO:		0,
+	SAVE:	1,
+	OPEN:	2
+};
+
+/**
+ * parse a smart poster from byte stream
+ */
+SmartPosterRecord.prototype.parse = function( data )
+{
+	this.bytes = copyBytes( data );
+	this.message = Message.parse( this.bytes );
+	this.nestedBytes = this.message.getBytes();
+};
+
+/**
+ * create a smart poster from arguments (see constructor)
+ */
+SmartPosterRecord.prototype.reset = function( args )
+{
+	this.message = new Message();
+	if( args.uri ) this.setURI( args.uri );
+	if( args.titles ) for( var lang in args.titles ) this.setTitle( args.titles[lang], lang );
+	
+	if( typeof( args.action ) == "string" )
+	{
+		var action = SmartPosterRecord.ACTION[ args.action.toUpperCase() ];
+		if( typeof( action ) == "undefined" ) throw( "Invalid smart poster action: " + args.action );
+		this.setAction( action );
+	}
+	else if( typeof( args.action ) == "number" ) this.setAction( args.action );
+	
+	if( typeof( args.size ) == "number" ) this.setSize( args.size );
+	if( args.mimeType ) this.setType( args.mimeType );
+	if( args.records ) for( var i in args.records ) this.message.records.push( Record.fromJSON( args.records[i] ));
+	
+	this.bytes = this.message.getBytes();
+	this.nestedBytes = null;
+};
+
+/**
+ * get binary version of the record.  the payload is rebuilt
+ * from the nested message if it has changed.
+ */
+SmartPosterRecord.prototype.getBytes = function( first, last )
+{
+	this.bytes = nestedPayload( this, [] );
+	return Record.prototype.getBytes.call( this, first, last );
+};
+
+/**
+ * check the record and the nested message for problems.  a
+ * smart poster needs a URI record.
+ */
+SmartPosterRecord.prototype.validate = function()
+{
+	this.bytes = nestedPayload( this, [] );
+	var list = Record.prototype.validate.call( this ).concat( validateNested( this.message, "Smart poster" ));
+	if( !this.findRecord( "U" )) list.push( problem( Message.PROBLEM.INVALID_DATA, "Smart poster has no URI record", -1 ));
+	return list;
+};
+
+/**
+ * find the first nested record with the given type, or null
+ */
+SmartPosterRecord.prototype.findRecord = function( type )
+{
+	for( var i = 0; i< this.message.records.length; i++ )
+		if( this.message.records[i].type == type ) return this.message.records[i];
+	return null;
+};
+
+/**
+ * replace (or remove, if record is null) the nested record of the 
+ * given type.  new records go at the end.
+ */
+SmartPosterRecord.prototype.replaceRecord = function( type, record )
+{
+	var list = this.message.records;
+	for( var i = 0; i< list.length; i++ )
+	{
+		if( list[i].type == type ) 
+		{
+			if( record ) list[i] = record;
+			else list.splice( i, 1 );
+			return;
+		}
+	}
+	if( record ) list.push( record );
+};
+
+/**
+ * URI accessors
+ */
+SmartPosterRecord.prototype.getURI = function()
+{
+	var record = this.findRecord( "U" );
+	return record ? record.URI : null;
+};
+SmartPosterRecord.prototype.setURI = function( uri )
+{
+	this.replaceRecord( "U", uri ? new URIRecord( uri ) : null );
+};
+
+/**
+ * title accessors.  there may be one title per language;
+ * getTitles returns the text records.
+ */
+SmartPosterRecord.prototype.getTitles = function()
+{
+	var titles = [];
+	for( var i = 0; i< this.message.records.length; i++ )
+		if( this.message.records[i].type == "T" ) titles.push( this.message.records[i] );
+	return titles;
+};
+SmartPosterRecord.prototype.getTitle = function( lang )
+{
+	var titles = this.getTitles();
+	for( var i = 0; i< titles.length; i++ )
+		if( !lang || titles[i].lang == lang ) return titles[i].text;
+	return null;
+};
+SmartPosterRecord.prototype.setTitle = function( text, lang )
+{
+	var list = this.message.records;
+	lang = lang || "en";
+	for( var i = 0; i< list.length; i++ )
+	{
+		if( list[i].type == "T" && list[i].lang == lang ) 
+		{
+			list.splice( i, 1 );
+			break;
+		}
+	}
+	if( null == text ) return;
+
+	list.push( new TextRecord( text, lang ));
+};
+
+/**
+ * action accessors.  @see SmartPosterRecord.ACTION
+ */
+SmartPosterRecord.prototype.getAction = function()
+{
+	var record = this.findRecord( "act" );
+	return record ? record.action : null;
+};
+SmartPosterRecord.prototype.setAction = function( action )
+{
+	this.replaceRecord( "act", ( null == action ) ? null : new ActionRecord( action ));
+};
+
+/**
+ * size accessors (size of the linked content)
+ */
+SmartPosterRecord.prototype.getSize = function()
+{
+	var record = this.findRecord( "s" );
+	return record ? record.size : null;
+};
+SmartPosterRecord.prototype.setSize = function( size )
+{
+	this.replaceRecord( "s", ( null == size ) ? null : new SizeRecord( size ));
+};
+
+/**
+ * type accessors (MIME type of the linked content)
+ */
+SmartPosterRecord.prototype.getType = function()
+{
+	var record = this.findRecord( "t" );
+	return record ? record.mimeType : null;
+};
+SmartPosterRecord.prototype.setType = function( mimeType )
+{
+	this.replaceRecord( "t", mimeType ? new TypeRecord( mimeType ) : null );
+};
+
+/**
+ * string representation
+ */
+SmartPosterRecord.prototype.toString = function()
+{
+	var str = "NDEF Smart Poster Record: " + this.getURI() + "\n";
+	var list = this.message.records;
+	for( var i = 0; i< list.length; i++ )
+	{
+		if( list[i].type != "U" ) str += "  " + list[i].toString();
+	}
+	return str;
+};
+
+/**
+ * return JSON representation 
+ */
+SmartPosterRecord.prototype.getJSON = function()
+{
+	var args = {};
+	var records = [];
+	var list = this.message.records;
+
+	for( var i = 0; i< list.length; i++ )
+	{
+		var record = list[i];
+		if( record.type == "U" && !args.uri ) args.uri = record.URI;
+		else if( record.type == "T" )
+		{
+			args.titles = args.titles || {};
+			args.titles[record.lang] = record.text;
+		}
+		else if( record.type == "act" ) 
+		{
+			args.action = record.action;
+			for( var name in SmartPosterRecord.ACTION )
+				if( SmartPosterRecord.ACTION[name] == record.action ) args.action = name.toLowerCase();
+		}
+		else if( record.type == "s" ) args.size = record.size;
+		else if( record.type == "t" ) args.mimeType = record.mimeType;
+		else records.push( recordJSON( record ));
+	}
+	if( records.length ) args.records = records;
+	return { type: this.type, args: args };
+};
+
+/**
+ * smart poster action record (local type act), one byte
+ */
+function ActionRecord( cdata )
+{
+	this.action = SmartPosterRecord.ACTION.DO;
+	if( typeof( cdata ) == "number" ) this.reset( cdata );
+	else if( typeof( cdata ) != "undefined" ) this.parse( cdata );
+};
+Record.extend( ActionRecord, "act" );
+
+ActionRecord.prototype.parse = function( data )
+{
+	if( data.length < 1 ) throw( "Invalid action record" );
+	this.reset( data[0] );
+};
+ActionRecord.prototype.reset = function( action )
+{
+	this.action = action;
+	this.bytes = [ action & 0xff ];
+};
+ActionRecord.prototype.toString = function()
+{
+	return "NDEF Action Record: " + this.action + "\n";
+};
+ActionRecord.prototype.getJSON = function()
+{
+	return { type: this.type, args: this.action };
+};
+
+/**
+ * smart poster size record (local type s), 4 bytes
+ */
+function SizeRecord( cdata )
+{
+	this.size = 0;
+	if( typeof( cdata ) == "number" ) this.reset( cdata );
+	else if( typeof( cdata ) != "undefined" ) this.parse( cdata );
+};
+Record.extend( SizeRecord, "s" );
+
+SizeRecord.prototype.parse = function( data )
+{
+	if( data.length < 4 ) throw( "Invalid size record" );
+	this.reset((( data[0] << 24 ) | ( data[1] << 16 ) | ( data[2] << 8 ) | data[3] ) >>> 0 );
+};
+SizeRecord.prototype.reset = function( size )
+{
+	this.size = size;
+	this.bytes = [( size >> 24 ) & 0xff, ( size >> 16 ) & 0xff, ( size >> 8 ) & 0xff, size & 0xff ];
+};
+SizeRecord.prototype.toString = function()
+{
+	return "NDEF Size Record: " + this.size + "\n";
+};
+SizeRecord.prototype.getJSON = function()
+{
+	return { type: this.type, args: this.size };
+};
+
+/**
+ * smart poster type record (local type t), a MIME type
+ */
+function TypeRecord( cdata )
+{
+	this.mimeType = "";
+	if( typeof( cdata ) == "string" ) this.reset( cdata );
+	else if( typeof( cdata ) != "undefined" ) this.parse( cdata );
+};
+Record.extend( TypeRecord, "t" );
+
+TypeRecord.prototype.parse = function( data )
+{
+	this.bytes = copyBytes( data );
+	this.mimeType = decodeUTF8( this.bytes );
+};
+TypeRecord.prototype.reset = function( mimeType )
+{
+	this.mimeType = mimeType;
+	this.bytes = encodeUTF8( mimeType );
+};
+TypeRecord.prototype.toString = function()
+{
+	return "NDEF Type Record: " + this.mimeType + "\n";
+};
+TypeRecord.prototype.getJSON = function()
+{
+	return { type: this.type, args: this.mimeType };
+};
+
+/**
+ * Wi-Fi Simple Configuration credential (MIME type
+ * application/vnd.wfa.wsc), for tap-to-join.  the payload is
+ * a list of WSC attributes (2 byte type, 2 byte length, value);
+ * the credential attribute holds the network settings.
+ * construct with payload bytes or an arguments object, as in
+ * JSON:
+ *
+ * { ssid: "guest",
+ *   key: "secret",
+ *   auth: "WPA2-PSK",			// default WPA2-PSK, or OPEN with no key
+ *   encryption: "AES",			// default AES, or NONE with no key
+ *   mac: "ff:ff:ff:ff:ff:ff"	// default broadcast
+ * }
+ */
+function WifiCredentialRecord( cdata )
+{
+	this.ssid = "";
+	this.key = "";
+	this.auth = WifiCredentialRecord.AUTH.OPEN;
+	this.encryption = WifiCredentialRecord.ENCRYPTION.NONE;
+	this.mac = "ff:ff:ff:ff:ff:ff";
+	
+	if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else this.reset( cdata );
+};
+Record.extend( WifiCredentialRecord, "application/vnd.wfa.wsc", 0x02, "wifi" );
+
+/** WSC attribute types */
+WifiCredentialRecord.ATTRIBUTE =
+{
+	AUTH_TYPE:			0x1003,
+	CREDENTIAL:			0x100E,
+	ENCRYPTION_TYPE:	0x100F,
+	MAC_ADDRESS:		0x1020,
+	NETWORK_INDEX:		0x1026,
+	NETWORK_KEY:		0x1027,
+	SSID:				0x1045,
+	VENDOR_EXTENSION:	0x1049,
+	VERSION:			0x104A
+};
+
+/** authentication types */
+WifiCredentialRecord.AUTH =
+{
+	OPEN:			0x0001,
+	WPA_PSK:		0x0002,
+	SHARED:			0x0004,
+	WPA:			0x0008,
+	WPA2:			0x0010,
+	WPA2_PSK:		0x0020,
+	WPA_WPA2_PSK:	0x0022
+};
+
+/** encryption types */
+WifiCredentialRecord.ENCRYPTION =
+{
+	NONE:		0x0001,
+	WEP:		0x0002,
+	TKIP:		0x0004,
+	AES:		0x0008,
+	AES_TKIP:	0x000C
+};
+
+/** WFA vendor extension with version 2.0, as written by Android */
+WifiCredentialRecord.VERSION2_EXTENSION = [ 0x00, 0x37, 0x2A, 0x00, 0x01, 0x20 ];
+
+/**
+ * look up a value in one of the type maps by name ("WPA2-PSK", 
+ * "wpa2_psk"), hex string or number
+ */
+WifiCredentialRecord.lookup = function( map, value, what )
+{
+	if( typeof( value ) == "number" ) return value;
+	if( /^0x[0-9a-f]+$/i.test( value )) return parseInt( value, 16 );
+	var name = String( value ).toUpperCase().replace( /[\-\/ ]/g, "_" );
+	if( typeof( map[name] ) == "undefined" ) throw( "Invalid Wi-Fi " + what + ": " + value );
+	return map[name];
+};
+
+/**
+ * name for a value in one of the type maps, or hex
+ */
+WifiCredentialRecord.nameOf = function( map, value )
+{
+	for( var name in map ) if( map[name] == value ) return name.replace( /_/g, "-" );
+	return "0x" + value.toString( 16 );
+};
+
+/**
+ * read WSC attributes from bytes, as a list of { type, value }
+ */
+WifiCredentialRecord.readAttributes = function( data )
+{
+	var list = [];
+	var ptr = 0;
+	while( ptr + 4 <= data.length )
+	{
+		var type = ( data[ptr] << 8 ) | data[ptr+1];
+		var len = ( data[ptr+2] << 8 ) | data[ptr+3];
+		ptr += 4;
+		if( ptr + len > data.length ) throw( "Invalid Wi-Fi credential data" );
+		list.push({ type: type, value: data.slice( ptr, ptr + len ) });
+		ptr += len;
+	}
+	return list;
+};
+
+/**
+ * write one WSC attribute to bytes
+ */
+WifiCredentialRecord.writeAttribute = function( bytes, type, value )
+{
+	bytes.push( type >> 8, type & 0xff, value.length >> 8, value.length & 0xff );
+	return appendBytes( bytes, value );
+};
+
+/**
+ * parse a credential from byte stream.  uses the first 
+ * credential attribute.
+ */
+WifiCredentialRecord.prototype.parse = function( data )
+{
+	var ATTRIBUTE = WifiCredentialRecord.ATTRIBUTE;
+	this.bytes = copyBytes( data );
+
+	var outer = WifiCredentialRecord.readAttributes( this.bytes );
+	for( var i = 0; i< outer.length; i++ )
+	{
+		if( outer[i].type != ATTRIBUTE.CREDENTIAL ) continue;
+		
+		var inner = WifiCredentialRecord.readAttributes( outer[i].value );
+		for( var j = 0; j< inner.length; j++ )
+		{
+			var value = inner[j].value;
+			switch( inner[j].type )
+			{
+			case ATTRIBUTE.SSID: this.ssid = decodeText( value ); break;
+			case ATTRIBUTE.NETWORK_KEY: this.key = decodeText( value ); break;
+			case ATTRIBUTE.AUTH_TYPE: this.auth = ( value[0] << 8 ) | value[1]; break;
+			case ATTRIBUTE.ENCRYPTION_TYPE: this.encryption = ( value[0] << 8 ) | value[1]; break;
+			case ATTRIBUTE.MAC_ADDRESS:
+				var mac = [];
+				for( var k = 0; k< value.length; k++ ) mac.push(( value[k] < 0x10 ? "0" : "" ) + value[k].toString( 16 ));
+				this.mac = mac.join( ":" );
+				break;
+			}
+		}
+		return;
+	}
+	throw( "Wi-Fi credential not found" );
+};
+
+/**
+ * create a credential from arguments (see constructor)
+ */
+WifiCredentialRecord.prototype.reset = function( args )
+{
+	var ATTRIBUTE = WifiCredentialRecord.ATTRIBUTE;
+	
+	this.ssid = args.ssid || "";
+	this.key = args.key || "";
+	this.auth = WifiCredentialRecord.lookup( WifiCredentialRecord.AUTH, 
+		args.auth || ( this.key ? "WPA2_PSK" : "OPEN" ), "auth type" );
+	this.encryption = WifiCredentialRecord.lookup( WifiCredentialRecord.ENCRYPTION, 
+		args.encryption || ( this.key ? "AES" : "NONE" ), "encryption type" );
+	this.mac = args.mac || "ff:ff:ff:ff:ff:ff";
+	
+	var mac = this.mac.split( /[:\-]/ );
+	if( mac.length != 6 ) throw( "Invalid MAC address: " + this.mac );
+	for( var i = 0; i< mac.length; i++ ) mac[i] = parseInt( mac[i], 16 ) & 0xff;
+
+	var credential = [];
+	WifiCredentialRecord.writeAttribute( credential, ATTRIBUTE.NETWORK_INDEX, [ 0x01 ]);
+	WifiCredentialRecord.writeAttribute( credential, ATTRIBUTE.SSID, encodeUTF8( this.ssid ));
+	WifiCredentialRecord.writeAttribute( credential, ATTRIBUTE.AUTH_TYPE, [ this.auth >> 8, this.auth & 0xff ]);
+	WifiCredentialRecord.writeAttribute( credential, ATTRIBUTE.ENCRYPTION_TYPE, [ this.encryption >> 8, this.encryption & 0xff ]);
+	WifiCredentialRecord.writeAttribute( credential, ATTRIBUTE.NETWORK_KEY, encodeUTF8( this.key ));
+	WifiCredentialRecord.writeAttribute( credential, ATTRIBUTE.MAC_ADDRESS, mac );
+
+	this.bytes = [];
+	WifiCredentialRecord.writeAttribute( this.bytes, ATTRIBUTE.VERSION, [ 0x10 ]);
+	WifiCredentialRecord.writeAttribute( this.bytes, ATTRIBUTE.CREDENTIAL, credential );
+	WifiCredentialRecord.writeAttribute( this.bytes, ATTRIBUTE.VENDOR_EXTENSION, WifiCredentialRecord.VERSION2_EXTENSION );
+};
+
+/**
+ * string representation
+ */
+WifiCredentialRecord.prototype.toString = function()
+{
+	return "NDEF Wi-Fi Credential Record: SSID " + this.ssid 
+		+ ", auth " + WifiCredentialRecord.nameOf( WifiCredentialRecord.AUTH, this.auth )
+		+ ", encryption " + WifiCredentialRecord.nameOf( WifiCredentialRecord.ENCRYPTION, this.encryption )
+		+ ( this.key ? ", key " + this.key : "" )
+		+ ", MAC " + this.mac + "\n";
+};
+
+/**
+ * return JSON representation 
+ */
+WifiCredentialRecord.prototype.getJSON = function()
+{
+	return { type: this.jsonType, args: {
+		ssid: this.ssid,
+		key: this.key,
+		auth: WifiCredentialRecord.nameOf( WifiCredentialRecord.AUTH, this.auth ),
+		encryption: WifiCredentialRecord.nameOf( WifiCredentialRecord.ENCRYPTION, this.encryption ),
+		mac: this.mac
+	}};
+};
+
+/**
+ * Handover Select record (well-known type Hs), for connection
+ * handover (e.g. tap-to-pair Bluetooth).  the payload is a version
+ * byte and a nested NDEF message of alternative carrier (ac) 
+ * records.  each ac record refers, by record ID, to a carrier 
+ * record (e.g. Bluetooth OOB) later in the outer message.  
+ * construct with payload bytes or an arguments object, as in JSON:
+ *
+ * { version: "1.2",
+ *   carriers: [ { cps: "active", ref: "0" } ],	// ac record arguments
+ *   records: [ ... ]							// anything else, as JSON records
+ * }
+ *
+ * @see HandoverSelectRecord.createMessage
+ */
+function HandoverSelectRecord( cdata )
+{
+	this.version = 0x12;
+	this.message = new Message();
+
+	if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else this.reset( cdata );
+};
+Record.extend( HandoverSelectRecord, "Hs" );
+
+/**
+ * build a complete handover select message: an Hs record with
+ * one ac record per carrier, followed by the carrier records.
+ * carriers without an ID are given one.
+ *
+ * @param carriers - list of carrier records (e.g. BluetoothOOBRecord)
+ * @param cps - carrier power state, default active
+ */
+HandoverSelectRecord.createMessage = function( carriers, cps )
+{
+	var message = new Message();
+	var select = new HandoverSelectRecord();
+	message.records.push( select );
+	
+	for( var i = 0; i< carriers.length; i++ )
+	{
+		if( !carriers[i].id ) carriers[i].id = String( i );
+		select.message.records.push( new AlternativeCarrierRecord({ 
+			cps: ( typeof( cps ) == "undefined" ) ? "active" : cps, 
+			ref: carriers[i].id 
+		}));
+		message.records.push( carriers[i] );
+	}
+	return message;
+};
+
+/**
+ * parse from byte stream
+ */
+HandoverSelectRecord.prototype.parse = function( data )
+{
+	this.bytes = copyBytes( data );
+	if( this.bytes.length < 1 ) throw( "Invalid handover select record" );
+	this.version = this.bytes[0];
+	this.message = Message.parse( this.bytes.slice( 1 ));
+	this.nestedBytes = [ this.version ].concat( this.message.getBytes());
+};
+
+/**
+ * create from arguments (see constructor)
+ */
+HandoverSelectRecord.prototype.reset = function( args )
+{
+	this.version = 0x12;
+	if( typeof( args.version ) == "number" ) this.version = args.version;
+	else if( typeof( args.version ) == "string" )
+	{
+		var parts = args.version.split( "." );
+		this.version = (( Number( parts[0] ) & 0x0f ) << 4 ) | ( Number( parts[1] || 0 ) & 0x0f );
+	}
+
+	this.message = new Message();
+	if( args.carriers ) 
+		for( var i = 0; i< args.carriers.length; i++ ) 
+			this.message.records.push( new AlternativeCarrierRecord( args.carriers[i] ));
+	if( args.records ) 
+		for( var i = 0; i< args.records.length; i++ ) 
+			this.message.records.push( Record.fromJSON( args.records[i] ));
+	
+	this.bytes = [ this.version ].concat( this.message.getBytes());
+	this.nestedBytes = null;
+};
+
+/**
+ * get binary version of the record.  the payload is rebuilt
+ * from the nested message if it (or the version) has changed.
+ */
+HandoverSelectRecord.prototype.getBytes = function( first, last )
+{
+	this.bytes = nestedPayload( this, [ this.version ] );
+	return Record.prototype.getBytes.call( this, first, last );
+};
+
+/**
+ * check the record and the nested message for problems
+ */
+HandoverSelectRecord.prototype.validate = function()
+{
+	this.bytes = nestedPayload( this, [ this.version ] );
+	return Record.prototype.validate.call( this ).concat( validateNested( this.message, "Handover select" ));
+};
+
+/**
+ * the alternative carrier records
+ */
+HandoverSelectRecord.prototype.getCarriers = function()
+{
+	var list = [];
+	for( var i = 0; i< this.message.records.length; i++ )
+		if( this.message.records[i].type == "ac" ) list.push( this.message.records[i] );
+	return list;
+};
+
+/**
+ * version as a string, e.g. "1.2"
+ */
+HandoverSelectRecord.prototype.getVersion = function()
+{
+	return ( this.version >> 4 ) + "." + ( this.version & 0x0f );
+};
+
+/**
+ * string representation
+ */
+HandoverSelectRecord.prototype.toString = function()
+{
+	var str = "NDEF Handover Select Record, version " + this.getVersion() + "\n";
+	for( var i = 0; i< this.message.records.length; i++ )
+		str += "  " + this.message.records[i].toString();
+	return str;
+};
+
+/**
+ * return JSON representation 
+ */
+HandoverSelectRecord.prototype.getJSON = function()
+{
+	var args = { version: this.getVersion(), carriers: [] };
+	var records = [];
+	for( var i = 0; i< this.message.records.length; i++ )
+	{
+		var record = this.message.records[i];
+		if( record.type == "ac" && !record.id ) args.carriers.push( record.getJSON().args );
+		else records.push( recordJSON( record ));
+	}
+	if( records.length ) args.records = records;
+	return { type: this.type, args: args };
+};
+
+/**
+ * Alternative Carrier record (local type ac, in a handover 
+ * select message).  refers to a carrier record by its ID, and
+ * optionally to auxiliary data records.  construct with payload
+ * bytes or an arguments object, as in JSON:
+ *
+ * { cps: "active",	// or inactive, activating, unknown, or a number
+ *   ref: "0",		// carrier record ID
+ *   aux: [ "1" ]		// auxiliary data record IDs
+ * }
+ */
+function AlternativeCarrierRecord( cdata )
+{
+	this.cps = AlternativeCarrierRecord.CPS.ACTIVE;
+	this.ref = "";
+	this.aux = [];
+
+	if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else this.reset( cdata );
+};
+Record.extend( AlternativeCarrierRecord, "ac" );
+
+/** carrier power states */
+AlternativeCarrierRecord.CPS =
+{
+	INACTIVE:	0,
+	ACTIVE:		1,
+	ACTIVATING:	2,
+	UNKNOWN:	3
+};
+
+/**
+ * parse from byte stream
+ */
+AlternativeCarrierRecord.prototype.parse = function( data )
+{
+	this.bytes = copyBytes( data );
+	if( this.bytes.length < 2 ) throw( "Invalid alternative carrier record" );
+
+	var ptr = 0;
+	var readRef = function( bytes ){
+		var len = bytes[ptr++];
+		var ref = [];
+		for( var i = 0; i< len && ptr < bytes.length; i++ ) ref.push( bytes[ptr++] );
+		return decodeText( ref );
+	};
+
+	this.cps = this.bytes[ptr++] & 0x03;
+	this.ref = readRef( this.bytes );
+	this.aux = [];
+	var count = ( ptr < this.bytes.length ) ? this.bytes[ptr++] : 0;
+	for( var i = 0; i< count && ptr < this.bytes.length; i++ ) this.aux.push( readRef( this.bytes ));
+};
+
+/**
+ * create from arguments (see constructor)
+ */
+AlternativeCarrierRecord.prototype.reset = function( args )
+{
+	this.cps = AlternativeCarrierRecord.CPS.ACTIVE;
+	if( typeof( args.cps ) == "number" ) this.cps = args.cps & 0x03;
+	else if( typeof( args.cps ) == "string" )
+	{
+		this.cps = AlternativeCarrierRecord.CPS[ args.cps.toUpperCase() ];
+		if( typeof( this.cps ) == "undefined" ) throw( "Invalid carrier power state: " + args.cps );
+	}
+	this.ref = args.ref || "";
+	this.aux = args.aux ? [].concat( args.aux ) : [];
+
+	// references are record IDs, so UTF-8 too
+	var writeRef = function( bytes, ref ){
+		var data = encodeUTF8( ref );
+		bytes.push( data.length );
+		appendBytes( bytes, data );
+	};
+	this.bytes = [ this.cps ];
+	writeRef( this.bytes, this.ref );
+	this.bytes.push( this.aux.length );
+	for( var i = 0; i< this.aux.length; i++ ) writeRef( this.bytes, this.aux[i] );
+};
+
+/**
+ * carrier power state name
+ */
+AlternativeCarrierRecord.prototype.getCPSName = function()
+{
+	for( var name in AlternativeCarrierRecord.CPS )
+		if( AlternativeCarrierRecord.CPS[name] == this.cps ) return name.toLowerCase();
+	return String( this.cps );
+};
+
+/**
+ * string representation
+ */
+AlternativeCarrierRecord.prototype.toString = function()
+{
+	return "NDEF Alternative Carrier Record: " + this.getCPSName() + ", carrier " + this.ref
+		+ ( this.aux.length ? ", aux " + this.aux.join( ", " ) : "" ) + "\n";
+};
+
+/**
+ * return JSON representation 
+ */
+AlternativeCarrierRecord.prototype.getJSON = function()
+{
+	var args = { cps: this.getCPSName(), ref: this.ref };
+	if( this.aux.length ) args.aux = this.aux;
+	return { type: this.type, args: args };
+};
+
+/** Bluetooth EIR / AD data types */
+var BLUETOOTH_FIELD =
+{
+	SHORT_NAME:			0x08,
+	NAME:				0x09,
+	CLASS_OF_DEVICE:	0x0D,
+	LE_ADDRESS:			0x1B,
+	LE_ROLE:			0x1C
+};
+
+/**
+ * read Bluetooth EIR/AD structures (length, type, data) from 
+ * bytes, as a list of { type, data }
+ */
+function readBluetoothFields( bytes, start )
+{
+	var list = [];
+	var ptr = start;
+	while( ptr < bytes.length )
+	{
+		var len = bytes[ptr++];
+		if( len == 0 ) break;
+		if( ptr + len > bytes.length ) throw( "Invalid Bluetooth OOB data" );
+		list.push({ type: bytes[ptr], data: bytes.slice( ptr + 1, ptr + len ) });
+		ptr += len;
+	}
+	return list;
+};
+
+/**
+ * write one Bluetooth EIR/AD structure to bytes
+ */
+function writeBluetoothField( bytes, type, data )
+{
+	bytes.push( data.length + 1, type );
+	return appendBytes( bytes, data );
+};
+
+/**
+ * "00:11:22:33:44:55" -> bytes, little-endian as sent over the air
+ */
+function parseBluetoothAddress( address )
+{
+	var parts = address.split( /[:\-]/ );
+	if( parts.length != 6 ) throw( "Invalid Bluetooth address: " + address );
+	var bytes = [];
+	for( var i = 5; i>= 0; i-- ) bytes.push( parseInt( parts[i], 16 ) & 0xff );
+	return bytes;
+};
+
+/**
+ * little-endian bytes -> "00:11:22:33:44:55"
+ */
+function formatBluetoothAddress( bytes )
+{
+	var parts = [];
+	for( var i = 5; i>= 0; i-- ) parts.push(( bytes[i] < 0x10 ? "0" : "" ) + bytes[i].toString( 16 ));
+	return parts.join( ":" );
+};
+
+/**
+ * EIR/AD fields we don't decode, for JSON
+ */
+function otherFieldsJSON( list )
+{
+	var other = [];
+	for( var i = 0; i< list.length; i++ ) other.push({ type: list[i].type, base64: encodeBase64( list[i].data ) });
+	return other;
+};
+
+/**
+ * Bluetooth (BR/EDR) out-of-band pairing data, MIME type
+ * application/vnd.bluetooth.ep.oob.  the payload is a 2-byte
+ * length (little-endian), the device address and EIR data.
+ * construct with payload bytes or an arguments object, as in JSON:
+ *
+ * { address: "00:11:22:33:44:55",
+ *   name: "Speaker",
+ *   deviceClass: 2360324,		// class of device, 24 bits
+ *   other: [ { type: 3, base64: "..." } ]	// other EIR fields
+ * }
+ */
+function BluetoothOOBRecord( cdata )
+{
+	this.address = "00:00:00:00:00:00";
+	this.name = "";
+	this.deviceClass = null;
+	this.other = [];
+
+	if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else this.reset( cdata );
+};
+Record.extend( BluetoothOOBRecord, "application/vnd.bluetooth.ep.oob", 0x02, "bluetooth" );
+
+/**
+ * parse from byte stream
+ */
+BluetoothOOBRecord.prototype.parse = function( data )
+{
+	this.bytes = copyBytes( data );
+	if( this.bytes.length < 8 ) throw( "Invalid Bluetooth OOB data" );
+
+	var length = Math.min( this.bytes[0] | ( this.bytes[1] << 8 ), this.bytes.length );
+	var fields = readBluetoothFields( this.bytes.slice( 0, length ), 8 );
+
+	this.address = formatBluetoothAddress( this.bytes.slice( 2, 8 ));
+	this.name = "";
+	this.deviceClass = null;
+	this.other = [];
+	for( var i = 0; i< fields.length; i++ )
+	{
+		var field = fields[i];
+		if( field.type == BLUETOOTH_FIELD.NAME || ( field.type == BLUETOOTH_FIELD.SHORT_NAME && !this.name )) 
+			this.name = decodeText( field.data );
+		else if( field.type == BLUETOOTH_FIELD.CLASS_OF_DEVICE && field.data.length == 3 ) 
+			this.deviceClass = field.data[0] | ( field.data[1] << 8 ) | ( field.data[2] << 16 );
+		else if( field.type != BLUETOOTH_FIELD.SHORT_NAME ) this.other.push( field );
+	}
+};
+
+/**
+ * create from arguments (see constructor)
+ */
+BluetoothOOBRecord.prototype.reset = function( args )
+{
+	this.address = args.address || "00:00:00:00:00:00";
+	this.name = args.name || "";
+	this.deviceClass = ( typeof( args.deviceClass ) == "number" ) ? args.deviceClass : null;
+	this.other = [];
+	if( args.other ) 
+		for( var i = 0; i< args.other.length; i++ ) 
+			this.other.push({ type: args.other[i].type, data: payloadFromJSON( args.other[i] ) });
+
+	var bytes = [ 0, 0 ].concat( parseBluetoothAddress( this.address ));
+	if( this.name ) writeBluetoothField( bytes, BLUETOOTH_FIELD.NAME, encodeUTF8( this.name ));
+	if( null != this.deviceClass ) writeBluetoothField( bytes, BLUETOOTH_FIELD.CLASS_OF_DEVICE, 
+		[ this.deviceClass & 0xff, ( this.deviceClass >> 8 ) & 0xff, ( this.deviceClass >> 16 ) & 0xff ]);
+	for( var i = 0; i< this.other.length; i++ ) writeBluetoothField( bytes, this.other[i].type, this.other[i].data );
+	
+	bytes[0] = bytes.length & 0xff;
+	bytes[1] = bytes.length >> 8;
+	this.bytes = bytes;
+};
+
+/**
+ * string representation
+ */
+BluetoothOOBRecord.prototype.toString = function()
+{
+	return "NDEF Bluetooth OOB Record: " + this.address 
+		+ ( this.name ? ", name " + this.name : "" )
+		+ ( null != this.deviceClass ? ", class 0x" + this.deviceClass.toString( 16 ) : "" ) + "\n";
+};
+
+/**
+ * return JSON representation 
+ */
+BluetoothOOBRecord.prototype.getJSON = function()
+{
+	var args = { address: this.address };
+	if( this.name ) args.name = this.name;
+	if( null != this.deviceClass ) args.deviceClass = this.deviceClass;
+	if( this.other.length ) args.other = otherFieldsJSON( this.other );
+	return { type: this.jsonType, args: args };
+};
+
+/**
+ * Bluetooth LE out-of-band pairing data, MIME type
+ * application/vnd.bluetooth.le.oob.  the payload is AD 
+ * structures; the address and role are required.  construct 
+ * with payload bytes or an arguments object, as in JSON:
+ *
+ * { address: "00:11:22:33:44:55",
+ *   addressType: "public",		// or "random"
+ *   role: "peripheral",		// or central, peripheral-preferred, central-preferred
+ *   name: "Speaker",
+ *   other: [ { type: 25, base64: "..." } ]	// other AD fields
+ * }
+ */
+function BluetoothLEOOBRecord( cdata )
+{
+	this.address = "00:00:00:00:00:00";
+	this.addressType = "public";
+	this.role = BluetoothLEOOBRecord.ROLE.PERIPHERAL;
+	this.name = "";
+	this.other = [];
+
+	if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else this.reset( cdata );
+};
+Record.extend( BluetoothLEOOBRecord, "application/vnd.bluetooth.le.oob", 0x02, "bluetoothLE" );
+
+/** LE roles */
+BluetoothLEOOBRecord.ROLE =
+{
+	PERIPHERAL:				0,
+	CENTRAL:				1,
+	PERIPHERAL_PREFERRED:	2,
+	CENTRAL_PREFERRED:		3
+};
+
+/**
+ * parse from byte stream
+ */
+BluetoothLEOOBRecord.prototype.parse = function( data )
+{
+	this.bytes = copyBytes( data );
+	var fields = readBluetoothFields( this.bytes, 0 );
+
+	this.name = "";
+	this.other = [];
+	for( var i = 0; i< fields.length; i++ )
+	{
+		var field = fields[i];
+		if( field.type == BLUETOOTH_FIELD.LE_ADDRESS && field.data.length == 7 )
+		{
+			this.address = formatBluetoothAddress( field.data );
+			this.addressType = ( field.data[6] & 0x01 ) ? "random" : "public";
+		}
+		else if( field.type == BLUETOOTH_FIELD.LE_ROLE && field.data.length == 1 ) this.role = field.data[0];
+		else if( field.type == BLUETOOTH_FIELD.NAME || ( field.type == BLUETOOTH_FIELD.SHORT_NAME && !this.name )) 
+			this.name = decodeText( field.data );
+		else if( field.type != BLUETOOTH_FIELD.SHORT_NAME ) this.other.push( field );
+	}
+};
+
+/**
+ * create from arguments (see constructor)
+ */
+BluetoothLEOOBRecord.prototype.reset = function( args )
+{
+	this.address = args.address || "00:00:00:00:00:00";
+	this.addressType = ( args.addressType == "random" ) ? "random" : "public";
+	this.role = BluetoothLEOOBRecord.ROLE.PERIPHERAL;
+	if( typeof( args.role ) == "number" ) this.role = args.role;
+	else if( typeof( args.role ) == "string" )
+	{
+		this.role = BluetoothLEOOBRecord.ROLE[ args.role.toUpperCase().replace( /[\- ]/g, "_" ) ];
+		if( typeof( this.role ) == "undefined" ) throw( "Invalid LE role: " + args.role );
+	}
+	this.name = args.name || "";
+	this.other = [];
+	if( args.other ) 
+		for( var i = 0; i< args.other.length; i++ ) 
+			this.other.push({ type: args.other[i].type, data: payloadFromJSON( args.other[i] ) });
+
+	this.bytes = [];
+	writeBluetoothField( this.bytes, BLUETOOTH_FIELD.LE_ADDRESS, 
+		parseBluetoothAddress( this.address ).concat([ this.addressType == "random" ? 1 : 0 ]));
+	writeBluetoothField( this.bytes, BLUETOOTH_FIELD.LE_ROLE, [ this.role ]);
+	if( this.name ) writeBluetoothField( this.bytes, BLUETOOTH_FIELD.NAME, encodeUTF8( this.name ));
+	for( var i = 0; i< this.other.length; i++ ) writeBluetoothField( this.bytes, this.other[i].type, this.other[i].data );
+};
+
+/**
+ * role name
+ */
+BluetoothLEOOBRecord.prototype.getRoleName = function()
+{
+	for( var name in BluetoothLEOOBRecord.ROLE )
+		if( BluetoothLEOOBRecord.ROLE[name] == this.role ) return name.toLowerCase().replace( /_/g, "-" );
+	return String( this.role );
+};
+
+/**
+ * string representation
+ */
+BluetoothLEOOBRecord.prototype.toString = function()
+{
+	return "NDEF Bluetooth LE OOB Record: " + this.address + " (" + this.addressType + ")"
+		+ ", role " + this.getRoleName()
+		+ ( this.name ? ", name " + this.name : "" ) + "\n";
+};
+
+/**
+ * return JSON representation 
+ */
+BluetoothLEOOBRecord.prototype.getJSON = function()
+{
+	var args = { address: this.address, addressType: this.addressType, role: this.getRoleName() };
+	if( this.name ) args.name = this.name;
+	if( this.other.length ) args.other = otherFieldsJSON( this.other );
+	return { type: this.jsonType, args: args };
+};
+
+/**
+ * contact record (MIME type text/vcard).  builds a vCard 
+ * (3.0 or 4.0) from fields, and parses vCards (2.1 and later)
+ * back into fields.  properties we don't handle are kept as
+ * lines in "other", so they are written back unchanged.  
+ * construct with payload bytes or an arguments object, as in JSON:
+ *
+ * { version: "3.0",		// or "4.0"
+ *   name: "Jane Smith",
+ *   givenName: "Jane", familyName: "Smith",	// default from name
+ *   org: "SF Toolworks",
+ *   title: "Engineer",
+ *   phones: [ "+1 555 0100", { type: "work", number: "+1 555 0101" } ],
+ *   emails: [ "jane@example.com", { type: "home", address: "..." } ],
+ *   url: "http://example.com",
+ *   address: { type: "work", street: "1 Main St", city: "Springfield",
+ *     region: "IL", postalCode: "62701", country: "USA" },
+ *   other: [ "NOTE:met at the show" ]
+ * }
+ */
+function ContactRecord( cdata, mimeType )
+{
+	this.version = "3.0";
+	this.name = "";
+	this.givenName = "";
+	this.familyName = "";
+	this.org = "";
+	this.title = "";
+	this.phones = [];
+	this.emails = [];
+	this.url = "";
+	this.address = null;
+	this.other = [];
+
+	if( typeof( mimeType ) == "string" ) this.type = mimeType;
+	if( null == cdata || typeof( cdata ) == "undefined" ) return;
+	if( typeof( cdata.length ) == "number" ) this.parse( cdata );
+	else this.reset( cdata );
+};
+Record.extend( ContactRecord, "text/vcard", 0x02, "contact" );
+
+// older type name, still common on phones
+Record.typeKeys[ Record.key( 0x02, "text/x-vcard" ) ] = Record.typeKeys[ Record.key( 0x02, "text/vcard" ) ];
+
+/** address components, in vCard (ADR) order */
+ContactRecord.ADDRESS_FIELDS = [ "poBox", "extended", "street", "city", "region", "postalCode", "country" ];
+
+/**
+ * escape a vCard text value
+ */
+ContactRecord.escape = function( str )
+{
+	return String( str ).replace( /\\/g, "\\\\" ).replace( /,/g, "\\," )
+		.replace( /;/g, "\\;" ).replace( /\r?\n/g, "\\n" );
+};
+
+/**
+ * split a vCard value on unescaped separators, and unescape
+ * the parts
+ */
+ContactRecord.split = function( str, separator )
+{
+	var parts = [];
+	var current = "";
+	for( var i = 0; i< str.length; i++ )
+	{
+		var c = str.charAt( i );
+		if( c == "\\" && i < str.length - 1 )
+		{
+			c = str.charAt( ++i );
+			current += ( c == "n" || c == "N" ) ? "\n" : c;
+		}
+		else if( c == separator )
+		{
+			parts.push( current );
+			current = "";
+		}
+		else current += c;
+	}
+	parts.push( current );
+	return parts;
+};
+
+/**
+ * parse one (unfolded) content line into { name, types, value, line }.  
+ * returns null if it's not a property line.
+ */
+ContactRecord.parseLine = function( line )
+{
+	// the colon separating the value may not be inside a quoted parameter
+
+	var colon = -1, quoted = false;
+	for( var i = 0; i< line.length && colon < 0; i++ )
+	{
+		var c = line.charAt( i );
+		if( c == "\"" ) quoted = !quoted;
+		else if( c == ":" && !quoted ) colon = i;
+	}
+	if( colon < 0 ) return null;
+
+	var params = line.substr( 0, colon ).split( ";" );
+	var name = params.shift().toUpperCase();
+	name = name.substr( name.lastIndexOf( "." ) + 1 ); // drop any group
+
+	// vCard 3.0/4.0 has TYPE=a,b; 2.1 has bare parameters
+	
+	var types = [];
+	for( var i = 0; i< params.length; i++ )
+	{
+		var parts = params[i].split( "=" );
+		if( parts.length == 1 ) types.push( parts[0].toLowerCase());
+		else if( parts[0].toUpperCase() == "TYPE" ) 
+			types = types.concat( parts[1].replace( /"/g, "" ).toLowerCase().split( "," ));
+	}
+	return { name: name, types: types, value: line.substr( colon + 1 ), line: line };
+};
+
+/**
+ * normalize a phone or email argument, which may be a string
+ */
+ContactRecord.entry = function( item, key )
+{
+	var entry = {};
+	if( typeof( item ) == "string" ) entry[key] = item;
+	else
+	{
+		entry[key] = item[key] || "";
+		if( item.type ) entry.type = item.type;
+	}
+	return entry;
+};
+
+/**
+ * parse from byte stream
+ */
+ContactRecord.prototype.parse = function( data )
+{
+	this.bytes = copyBytes( data );
+	this.phones = [];
+	this.emails = [];
+	this.other = [];
+	
+	// unfold (a line break followed by a space or tab continues the line)
+	
+	var text = decodeText( this.bytes ).replace( /\r?\n[ \t]/g, "" );
+	var lines = text.split( /\r?\n/ );
+
+	for( var i = 0; i< lines.length; i++ )
+	{
+		var property = ContactRecord.parseLine( lines[i] );
+		if( null == property ) continue;
+		
+		var type = property.types.length ? property.types.join( "," ) : null;
+		switch( property.name )
+		{
+		case "BEGIN":
+		case "END":
+			break;
+		case "VERSION":
+			this.version = property.value;
+			break;
+		case "FN":
+			this.name = ContactRecord.split( property.value, "" )[0];
+			break;
+		case "N":
+			var parts = ContactRecord.split( property.value, ";" );
+			this.familyName = parts[0] || "";
+			this.givenName = parts[1] || "";
+			break;
+		case "ORG":
+			this.org = ContactRecord.split( property.value, ";" ).join( ", " );
+			break;
+		case "TITLE":
+			this.title = ContactRecord.split( property.value, "" )[0];
+			break;
+		case "TEL":
+			var phone = { number: ContactRecord.split( property.value, "" )[0].replace( /^tel:/i, "" ) };
+			if( type ) phone.type = type;
+			this.phones.push( phone );
+			break;
+		case "EMAIL":
+			var email = { address: ContactRecord.split( property.value, "" )[0] };
+			if( type ) email.type = type;
+			this.emails.push( email );
+			break;
+		case "URL":
+			this.url = property.value;
+			break;
+		case "ADR":
+			var parts = ContactRecord.split( property.value, ";" );
+			this.address = {};
+			if( type ) this.address.type = type;
+			for( var j = 0; j< ContactRecord.ADDRESS_FIELDS.length; j++ )
+				if( parts[j] ) this.address[ContactRecord.ADDRESS_FIELDS[j]] = parts[j];
+			break;
+		default:
+			this.other.push( property.line );
+			break;
+		}
+	}
+	
+	if( !this.name ) this.name = ( this.givenName + " " + this.familyName ).trim();
+};
+
+/**
+ * create from arguments (see constructor)
+ */
+ContactRecord.prototype.reset = function( args )
+{
+	if( args.mimeType ) this.type = args.mimeType;
+
+	// we write 3.0 or 4.0; older versions (from a parsed card) are written as 3.0
+	
+	this.version = ( args.version == "4.0" ) ? "4.0" : "3.0";
+	
+	this.name = args.name || "";
+	this.givenName = args.givenName || "";
+	this.familyName = args.familyName || "";
+	if( this.name && !this.givenName && !this.familyName )
+	{
+		var words = this.name.split( " " );
+		this.familyName = ( words.length > 1 ) ? words.pop() : "";
+		this.givenName = words.join( " " );
+	}
+	if( !this.name ) this.name = ( this.givenName + " " + this.familyName ).trim();
+
+	this.org = args.org || "";
+	this.title = args.title || "";
+	this.url = args.url || "";
+	this.address = args.address || null;
+	this.other = args.other ? [].concat( args.other ) : [];
+	
+	this.phones = [];
+	if( args.phones ) for( var i = 0; i< args.phones.length; i++ ) this.phones.push( ContactRecord.entry( args.phones[i], "number" ));
+	this.emails = [];
+	if( args.emails ) for( var i = 0; i< args.emails.length; i++ ) this.emails.push( ContactRecord.entry( args.emails[i], "address" ));
+
+	this.bytes = encodeUTF8( this.build());
+};
+
+/**
+ * vCard text from fields.  lines are folded at 75 characters.
+ */
+ContactRecord.prototype.build = function()
+{
+	var esc = ContactRecord.escape;
+	var lines = [ "BEGIN:VCARD", "VERSION:" + this.version ];
+	var typed = function( name, type ){ return name + ( type ? ";TYPE=" + type : "" ) + ":"; };
+	
+	lines.push( "FN:" + esc( this.name ));
+	lines.push( "N:" + esc( this.familyName ) + ";" + esc( this.givenName ) + ";;;" );
+	if( this.org ) lines.push( "ORG:" + esc( this.org ));
+	if( this.title ) lines.push( "TITLE:" + esc( this.title ));
+	for( var i = 0; i< this.phones.length; i++ ) 
+		lines.push( typed( "TEL", this.phones[i].type ) + esc( this.phones[i].number ));
+	for( var i = 0; i< this.emails.length; i++ ) 
+		lines.push( typed( "EMAIL", this.emails[i].type ) + esc( this.emails[i].address ));
+	if( this.url ) lines.push( "URL:" + this.url );
+	if( this.address )
+	{
+		var parts = [];
+		for( var i = 0; i< ContactRecord.ADDRESS_FIELDS.length; i++ ) 
+			parts.push( esc( this.address[ContactRecord.ADDRESS_FIELDS[i]] || "" ));
+		lines.push( typed( "ADR", this.address.type ) + parts.join( ";" ));
+	}
+	lines = lines.concat( this.other );
+	lines.push( "END:VCARD" );
+
+	var str = "";
+	for( var i = 0; i< lines.length; i++ )
+	{
+		var line = lines[i];
+		while( line.length > 75 )
+		{
+			str += line.substr( 0, 75 ) + "\r\n ";
+			line = line.substr( 75 );
+		}
+		str += line + "\r\n";
+	}
+	return str;
+};
+
+/**
+ * string representation
+ */
+ContactRecord.prototype.toString = function()
+{
+	return "NDEF Contact Record: " + this.name + ( this.org ? ", " + this.org : "" ) + "\n";
+};
+
+/**
+ * return JSON representation 
+ */
+ContactRecord.prototype.getJSON = function()
+{
+	var args = { version: this.version, name: this.name };
+	if( this.type != ContactRecord.prototype.type ) args.mimeType = this.type;
+	if( this.givenName ) args.givenName = this.givenName;
+	if( this.familyName ) args.familyName = this.familyName;
+	if( this.org ) args.org = this.org;
+	if( this.title ) args.title = this.title;
+	if( this.phones.length ) args.phones = this.phones;
+	if( this.emails.length ) args.emails = this.emails;
+	if( this.url ) args.url = this.url;
+	if( this.address ) args.address = this.address;
+	if( this.other.length ) args.other = this.other;
+	return { type: this.jsonType, args: args };
+};
+
 // module exports
 
 if( typeof( exports ) != "undefined" )	
 {
 	exports.Message = Message;
+	exports.toBuffer = toBuffer;
 	exports.Record = Record;
 	exports.TextRecord = TextRecord;
 	exports.URIRecord = URIRecord;
 	exports.AndroidApplicationRecord = AndroidApplicationRecord;
+	exports.ExternalTypeRecord = ExternalTypeRecord;
+	exports.MimeRecord = MimeRecord;
+	exports.AbsoluteURIRecord = AbsoluteURIRecord;
+	exports.EmptyRecord = EmptyRecord;
+	exports.UnknownRecord = UnknownRecord;
+	exports.UnchangedRecord = UnchangedRecord;
+	exports.GenericRecord = GenericRecord;
+	exports.SmartPosterRecord = SmartPosterRecord;
+	exports.ActionRecord = ActionRecord;
+	exports.SizeRecord = SizeRecord;
+	exports.TypeRecord = TypeRecord;
+	exports.WifiCredentialRecord = WifiCredentialRecord;
+	exports.HandoverSelectRecord = HandoverSelectRecord;
+	exports.AlternativeCarrierRecord = AlternativeCarrierRecord;
+	exports.BluetoothOOBRecord = BluetoothOOBRecord;
+	exports.BluetoothLEOOBRecord = BluetoothLEOOBRecord;
+	exports.ContactRecord = ContactRecord;
 }
 
@@ -12,17 +12,40 @@ var events = require('events'),
 	repl = require("repl"),
 	fs = require("fs"),
 	NDEF = require("./ndef.js"),
-	comms = require("./comms.js");
+	comms = require("./comms.js"),
+	dissect = require("./dissect.js"),
+	trace = require("./trace.js"),
+	Simulator = require("./simulator.js").Simulator,
+	Template = require("./template.js").Template;
 
 var force_port = false;
+var simulate = false;
+var reconnect = false;
 var interactive = false;
 var initialized = false;
 
+// read back and compare messages after writing
+var verify = false;
+var retries = 0;
+
+// wire trace file, see trace.js
+var trace_path = null;
+
 var DEFAULT_MESSAGE = "options-message.json";
 var OPTIONS_FILE = "example-options.json";
 
 var currentKey = ""; 
 
+/** 
+ * options are sent as JSON in a text record, which is what
+ * the app reads.  with -x they go in an external type record
+ * instead, for newer versions of the app; replies can be
+ * either.
+ */
+var OPTIONS_TYPE = "sftoolworks.com:options";
+var external = false;
+NDEF.Record.registerExternal( OPTIONS_TYPE, NDEF.ExternalTypeRecord.JSON_CODEC );
+
 /** skeleton */
 function verbose() {};
 
@@ -30,39 +53,43 @@ function verbose() {};
  * send NDEF message to the board. the second
  * parameter controls whether it goes into the 
  * transceiver or into Flash (non-volatile memory).
+ * errors are reported when the board responds.
  */
 function sendMessage( message, nvm ) {
 	
-	if ( !comms.connected ) throw( "Not connected" );
-	
-	var bytes = message.getBytes( false );
-	var len = bytes.length;
-	
-	if( len > 2048 ) throw( "Message is too long; limit is 2kB" );
+	if ( !comms.connected()) throw( "Not connected" );
 	
-	// data is the command as one byte; the message
-	// length as two bytes; then the message data
-	
-	var command = comms.COMMAND.SET_NFC_MESSAGE;
-	if( typeof( nvm ) != "undefined" && nvm ) command = comms.COMMAND.SET_NVM_MESSAGE;
-
-	comms.send([ command, len >> 8, len & 0xff ].concat( bytes ));
+	// check the message first.  warnings are only reported;
+	// errors (including a message that won't fit) stop here.
+
+	var problems = message.validate({ target: ( nvm ? "nvm" : "nfc" ) });
+	var errors = [];
+	for( var i = 0; i< problems.length; i++ ) {
+		if( problems[i].severity == "error" ) errors.push( problems[i].message );
+		else verbose( "warning: " + problems[i].message );
+	}
+	if( errors.length ) throw( "Invalid message: " + errors.join( "; " ));
 	
-	// for nonvolatile we have one additional step
-	// to send the message to the NFC tag
+	// for nonvolatile, the message is also loaded into the NFC 
+	// tag (@see comms.writeMessage).  with verify, it's read 
+	// back and compared
 	
-	if( command == comms.COMMAND.SET_NVM_MESSAGE )
-		comms.send( [comms.COMMAND.RESET_MESSAGE] );
+	comms.writeMessage( message, { nvm: !!nvm, verify: verify, retries: retries }, function( err, result ){
+		if ( err ) console.log( "error: " + err.message );
+		else if ( result.verified ) console.log( "Message verified" 
+			+ ( result.attempts > 1 ? " (" + result.attempts + " attempts)" : "" ));
+		else verbose( "Message written" );
+	});
 }
 
 /**
  * load message from a given path.  this expects the 
- * message in JSON format.
+ * message in JSON format; it's a template, so variables
+ * are filled in from the row (@see template.js).
  */
-function loadMessage( path ) {
+function loadMessage( path, row ) {
 	
-	var contents = fs.readFileSync( path, {encoding: "utf8"});
-	return NDEF.Message.fromJSON( contents );
+	return Template.load( path ).render( row );
 }
 
 /**
@@ -81,11 +108,12 @@ function initialize() {
  */
 function sendOptionsMessage() {
 	
-	var optionsMessage = loadMessage( DEFAULT_MESSAGE );
-	var options = fs.readFileSync( OPTIONS_FILE, { encoding:"utf8" } );
+	// the options go in the {{options}} record, as text
 	
-	// replace the placeholder record
-	optionsMessage.records[1] = new NDEF.TextRecord( options );
+	var text = fs.readFileSync( OPTIONS_FILE, { encoding:"utf8" } );
+	var opts = JSON.parse( text );
+	var optionsMessage = loadMessage( DEFAULT_MESSAGE, { options: text });
+	if ( external ) optionsMessage.records[1] = NDEF.Record.fromJSON({ type: OPTIONS_TYPE, args: opts });
 	
 	// send it to the tag
 	sendMessage( optionsMessage, true );
@@ -94,7 +122,6 @@ function sendOptionsMessage() {
 	// we will compare this with messages coming in, just
 	// as a sanity check
 
-	var opts = JSON.parse( options );	
 	currentKey = opts.key;
 }
 
@@ -103,13 +130,20 @@ function sendOptionsMessage() {
  */
 function handleInboundMessage( message )
 {
-	var data = message.records[0].text;
-	
-	if( typeof( data ) == "undefined" ) {
-		throw( "Data missing from message" );
+	// look for the options record; older versions of the 
+	// app send JSON in a text record
+
+	var obj;
+	for( var i = 0; i< message.records.length && typeof( obj ) == "undefined"; i++ ) {
+		if( message.records[i].type == OPTIONS_TYPE ) obj = message.records[i].getValue();
+	}
+	if( typeof( obj ) == "undefined" ) {
+		var data = message.records[0].text;
+		if( typeof( data ) == "undefined" ) {
+			throw( "Data missing from message" );
+		}
+		obj = JSON.parse( data );
 	}
-	
-	var obj = JSON.parse( data );
 
 	var key = obj.key;
 	if ( typeof( key ) == "undefined" || key != currentKey ) {
@@ -185,18 +219,25 @@ comms.events.on( "comms-event", function( evt ){
 
 		// data comes in response to requests
 		// for message length, it is always
-		// two bytes 
+		// two bytes.  responses to requests are
+		// labelled with the command.
 			
 		case comms.EVENT_TYPE.DATA:
-			console.log( "response: " + hex( evt.data[0] << 8 | evt.data[1] ));
+			if ( evt.command == comms.COMMAND.GET_USER_PREFS ) console.log( "prefs: " + JSON.stringify( comms.decodePrefs( evt.value )));
+			else if ( typeof( evt.command ) != "undefined" ) console.log( comms.commandName( evt.command ) + ": " + evt.value );
+			else console.log( "response: " + hex( evt.data[0] << 8 | evt.data[1] ));
 			break;
 
 		// an error occurred.  this could be a comms error or
-		// an error from the board.  see
-		// http://sftoolworks.com/nfc/reference.html#errorcodes
+		// an error from the board; evt.error is the error 
+		// object (see the error classes in comms.js), and
+		// board errors are decoded in the message.  errors
+		// for a request (with a command) are printed by 
+		// whatever sent the request.
 			
 	    case comms.EVENT_TYPE.ERROR:
-			if ( typeof( evt.message ) != "undefined" ) console.log( "error: " + evt.message );
+			if ( typeof( evt.command ) != "undefined" ) verbose( "error: " + evt.message );
+			else if ( typeof( evt.message ) != "undefined" ) console.log( "error: " + evt.message );
 			else console.log( "error: " + hex(evt.data) );
 			break;
 		
@@ -219,8 +260,13 @@ comms.events.on( "comms-event", function( evt ){
 		// the ndef library.  see the file ndef.js for the
 		// structure of messages.
 			
+		// messages we asked for (reads, and verifying
+		// after a write) are labelled with the command;
+		// anything else was sent when the tag was written.
+			
 		case comms.EVENT_TYPE.NDEF_MESSAGE:
-			handleInboundMessage( evt.data );
+			if ( typeof( evt.command ) != "undefined" ) verbose( evt.data.toString());
+			else handleInboundMessage( evt.data );
 			break;
 	};
 		
@@ -239,12 +285,45 @@ function startRepl() {
 	
 	R.context.quit = R.context.exit = function(){ process.exit(0); };
 
-	R.context.getMessage = function () {
-		comms.send([comms.COMMAND.GET_NFC_MESSAGE]);
+	R.context.getMessage = function ( slot ) {
+		comms.readMessage( slot || "nfc", function( err, message ){
+			if ( err ) console.log( "error: " + err.message );
+			else console.log( message.toString());
+		});
+	};
+	
+	R.context.getLength = function ( slot ) {
+		comms.readLength( slot || "nfc", function( err ){
+			if ( err ) console.log( "error: " + err.message );
+		});
+	};
+	
+	R.context.setConfig = function ( config ) {
+		if ( typeof( config ) == "string" ) config = JSON.parse( fs.readFileSync( config, { encoding: "utf8" }));
+		comms.setConfig( config, function( err, result ){
+			if ( err ) console.log( "error: " + err.message );
+			else console.log( "changed: " + ( result.changed.join( ", " ) || "nothing" ));
+		});
+	};
+	
+	R.context.getConfig = function () {
+		comms.getConfig( function( err ){
+			if ( err ) console.log( "error: " + err.message );
+		});
+	};
+	
+	R.context.dissect = function ( input, direction ) {
+		console.log( dissect.format( dissect.dissect( input, { direction: direction })));
+	};
+	
+	R.context.dissectTrace = function ( path ) {
+		console.log( dissect.format( dissect.dissectTrace( trace.readTrace( path ).entries )));
 	};
 	
 	R.context.command = function (a) {
-		comms.send([a]);
+		comms.request( a, function( err ){
+			if ( err ) console.log( "error: " + err.message );
+		});
 	};
 
 	R.reloadOptions = function() {
@@ -256,18 +335,31 @@ function startRepl() {
 	};
 
 	R.context.saveMessage = function( message, path ) {
-		var contents = message.getJSON();
+		var contents = message.getJSON( true );
 		fs.writeFileSync( path, contents, "utf8" );
 	};
 	
-	R.context.sendMessage = function( obj ) {
+	R.context.sendMessage = function( obj, row ) {
+		var message = obj;
+		if ( typeof( obj ) == "string" ) message = loadMessage( obj, row );
+		sendMessage( message );
+	};
+
+	R.context.verify = function( on, count ) {
+		verify = ( typeof( on ) == "undefined" ) ? true : !!on;
+		if ( typeof( count ) == "number" ) retries = count;
+	};
+
+	R.context.validate = function( obj ) {
 		var message = obj;
 		if ( typeof( obj ) == "string" )
 		{
 			var contents = fs.readFileSync( obj , {encoding: "utf8"});
 			message = NDEF.Message.fromJSON( contents );
 		}
-		sendMessage( message );
+		var problems = message.validate();
+		for( var i = 0; i< problems.length; i++ ) console.log( problems[i].severity + ": " + problems[i].message );
+		return problems;
 	};
 
 	R.context.help = function()
@@ -286,13 +378,22 @@ function helpRepl() {
 	console.log( "Specific commands available:" );
 	console.log()
 	console.log( "command( value )         // send a command to the board" );
-	console.log( "getMessage()             // retrieve the current message from the board" ); 
+	console.log( "getMessage( slot )       // retrieve a message from the board (nfc, nvm or ram)" ); 
+	console.log( "getLength( slot )        // message length (nfc, nvm or ram)" ); 
+	console.log( "getConfig()              // print the board config (user prefs)" ); 
+	console.log( "setConfig( var )         // change the board config (object or json file)" ); 
+	console.log( "dissect( hex, dir )      // annotate raw bytes (dir \"host\" or \"board\")" ); 
+	console.log( "dissectTrace( path )     // annotate a trace file frame by frame" ); 
 	console.log( "readMessage( path )      // read a mesage from a json file (see message1.json)" ); 
-	console.log( "sendMessage( var )       // send a message to the board" );
+	console.log( "sendMessage( var, row )  // send a message to the board" );
 	console.log( "saveMessage( obj, path ) // save a message as a json file" );
+	console.log( "validate( var )          // check a message for problems (object or json file)" );
+	console.log( "verify( on, retries )    // read back and compare messages after sending" );
 	console.log( "reloadOptions()          // reload the options files and send to the board" );
 	console.log();
 	console.log( "for sendMessage(), pass either a message object or a path to a json file." );
+	console.log( "json files can use template variables like {{serial}} or {{date}}, see" );
+	console.log( "template.js; pass an object with any other values as the row." );
 	console.log( "you can construct a message using the NDEF object, or open a file using" );
 	console.log( "readMessage()." );
 	console.log();
@@ -317,9 +418,15 @@ function helpOption( ) {
 	console.log( "arguments:" );
 	console.log();				
 	console.log( "-?\t print this text and exit" );
-	console.log( "-p name\t use the specified port name" );
+	console.log( "-p name\t use the specified port name (or tcp://host:port)" );
+	console.log( "-s\t use a simulated board, for testing" );
+	console.log( "-r\t reconnect if the board is unplugged" );
 	console.log( "-v\t print extra output/debug info" );
 	console.log( "-i\t run interactive repl session" );
+	console.log( "-w\t verify: read back and compare messages after sending" );
+	console.log( "--retries n\t with -w, send again up to n times if verify fails" );
+	console.log( "-x\t send the options in an " + OPTIONS_TYPE + " record, not text" );
+	console.log( "-t path\t record a wire trace (replay it with trace.js)" );
 	console.log();				
 	process.exit(0);
 }
@@ -344,14 +451,52 @@ for( var i in process.argv ) {
 			verbose = function(msg){ console.log( msg ); };
 			break;
 
+		case '-s':
+		case '--simulate':
+			simulate = true;
+			break;
+
+		case '-r':
+		case '--reconnect':
+			reconnect = true;
+			break;
+
 		case '-i':
 		case '--interactive':
 			interactive = true;
 			break;
+
+		case '-w':
+		case '--verify':
+			verify = true;
+			break;
+
+		case '--retries':
+			retries = Number( process.argv[++i] );
+			break;
+
+		case '-x':
+		case '--external':
+			external = true;
+			break;
+
+		case '-t':
+		case '--trace':
+			trace_path = process.argv[++i];
+			break;
 	}
 }
 
 // start
-comms.connect( force_port );
+// with reconnect, initialization is sent again after reconnecting
+
+comms.connect( simulate ? new Simulator() : force_port, { 
+	reconnect: reconnect,
+	trace: trace_path,
+	setup: function( connection, callback ){
+		initialize();
+		callback();
+	}
+});
 if ( interactive ) startRepl();
 
@@ -12,31 +12,80 @@ var events = require('events'),
 	repl = require("repl"),
 	fs = require("fs"),
 	NDEF = require("./ndef.js"),
-	comms = require("./comms.js");
+	comms = require("./comms.js"),
+	dissect = require("./dissect.js"),
+	trace = require("./trace.js"),
+	Simulator = require("./simulator.js").Simulator,
+	template = require("./template.js"),
+	Template = template.Template;
 
 var force_port = false;
+var simulate = false;
+var reconnect = false;
 var interactive = false;
 var initialized = false;
+var simulator = null;
+
+// read back and compare messages after writing
+var verify = false;
+var retries = 0;
+
+// wire trace file, see trace.js
+var trace_path = null;
+
+// batch provisioning: template and data files, log, first serial
+var provision_files = null;
+var provision_log = null;
+var provision_serial = 1;
+var provisioning = false;
+
+// one-shot read from the command line: { kind, slots }
+var query = null;
 
 /** skeleton */
 function verbose() {};
 
+/** message sent on connect */
+var SAMPLE_MESSAGE = [
+	{ type: "U", args: "http://sftoolworks.com/nfc/sample?text=Hello+from+{{env.USERNAME|env.USER|\"unknown\"}}" }
+];
+
+/**
+ * check a message before sending it to the given target
+ * (nfc or nvm).  warnings are only reported; errors 
+ * (including a message that won't fit) are thrown.
+ */
+function checkMessage( message, target )
+{
+	var problems = message.validate({ target: target });
+	var errors = [];
+	for( var i = 0; i< problems.length; i++ )
+	{
+		if( problems[i].severity == "error" ) errors.push( problems[i].message );
+		else verbose( "warning: " + problems[i].message );
+	}
+	if( errors.length ) throw( "Invalid message: " + errors.join( "; " ));
+}
+
 /**
  * send NDEF message to the board (directly
- * to the NFC transceiver, not writing to Flash)
+ * to the NFC transceiver, not writing to Flash).
+ * errors are reported when the board responds.
  */
 function sendMessage( message )
 {
-	if ( !comms.connected ) throw( "Not connected" );
-	
-	var bytes = message.getBytes( false );
-	var len = bytes.length;
+	if ( !comms.connected()) throw( "Not connected" );
 	
-	// data is the command as one byte; the message
-	// length as two bytes; then the message data
+	checkMessage( message, "nfc" );
 	
-	var tmp = [ comms.COMMAND.SET_NFC_MESSAGE, len >> 8, len & 0xff ].concat( bytes );
-	comms.send( tmp );
+	// with verify, the message is read back and compared
+
+	comms.writeMessage( message, { nvm: false, verify: verify, retries: retries }, function( err, result ){
+		if ( err ) console.log( "error: " + err.message );
+		else if ( result.verified ) console.log( "Message verified" 
+			+ ( result.attempts > 1 ? " (" + result.attempts + " attempts)" : "" ));
+		else verbose( "Message written" );
+	});
 }
 
 /**
@@ -47,19 +96,277 @@ function initialize()
 {
 	initialized = true;
 	
-	// construct a message to send
+	// when provisioning, that's all we do (once; after a
+	// reconnect, the current row fails and the run stops)
+	
+	if ( provision_files ) {
+		if ( !provisioning ) startProvisioning();
+		return;
+	}
 	
-	var message = new NDEF.Message();
-	var user = process.env.USERNAME;
-	if ( null == user || user.length == 0 ) user = process.env.USER;
+	// the same for a read from the command line
 	
-	message.records.push( new NDEF.URIRecord(
-		"http://sftoolworks.com/nfc/sample?text=Hello+from+" + user ));
+	if ( query ) {
+		runQuery( query, function( err ){
+			if ( !interactive ) {
+				comms.disconnect();
+				process.exit( err ? 1 : 0 );
+			}
+		});
+		return;
+	}
+	
+	// construct a message to send
 	
+	var message = new Template( SAMPLE_MESSAGE ).render();
 	sendMessage( message );
 	
 }
 
+/**
+ * read the provisioning log (JSONL, one line per row).  returns
+ * the rows already done, as { index: true }.
+ */
+function readProvisionLog( path )
+{
+	var done = {};
+	if( !fs.existsSync( path )) return done;
+	
+	var lines = fs.readFileSync( path, { encoding: "utf8" }).split( /\r?\n/ );
+	for( var i = 0; i< lines.length; i++ )
+	{
+		if( !lines[i].trim().length ) continue;
+		try
+		{
+			var entry = JSON.parse( lines[i] );
+			if( entry.status == "ok" ) done[entry.row] = true;
+		}
+		catch( ex )
+		{
+			// a partial line, if we were stopped while writing
+		}
+	}
+	return done;
+}
+
+/**
+ * add an entry to the provisioning log
+ */
+function writeProvisionLog( path, entry )
+{
+	entry.time = new Date().toISOString();
+	var text = JSON.stringify( entry ) + "\n";
+
+	// if the last line was cut short, start a new one, or this
+	// entry is lost with it
+
+	if( fs.existsSync( path ))
+	{
+		var log = fs.readFileSync( path, { encoding: "utf8" });
+		if( log.length && log.charAt( log.length - 1 ) != "\n" ) text = "\n" + text;
+	}
+	fs.appendFileSync( path, text, "utf8" );
+}
+
+/**
+ * wait for the tag to be read (a read interrupt).  fails if 
+ * the board is disconnected.
+ */
+function waitForRead( callback )
+{
+	var listener = function( evt ){
+		var err = null;
+		if( evt.type == comms.EVENT_TYPE.INTERRUPT && ( evt.data & 0x02 )) err = false;
+		else if( evt.type == comms.EVENT_TYPE.CONNECT_EVENT && !comms.connected()) err = new Error( "Disconnected" );
+		else return;
+		
+		comms.events.removeListener( "comms-event", listener );
+		callback( err || null );
+	};
+	comms.events.on( "comms-event", listener );
+}
+
+/**
+ * provision one tag: render the message for this row, write it
+ * to NVM and reset the message, read it back from the NFC 
+ * transceiver to verify (with any retries), and wait for a read.  calls back as
+ * callback( err, serial ).
+ */
+function provisionRow( tmpl, row, index, callback )
+{
+	var serial = tmpl.serial + index;
+	var message;
+	try
+	{
+		// serial numbers and counters follow the row, so a 
+		// resumed run numbers the same way
+		
+		tmpl.count = index;
+		message = tmpl.render( row );
+		checkMessage( message, "nvm" );
+	}
+	catch( ex )
+	{
+		callback( ex, serial );
+		return;
+	}
+	
+	// the message goes to NVM and then the NFC transceiver; 
+	// check the transceiver, since that's what will be read
+
+	comms.writeMessage( message, { nvm: true, verify: true, readBack: "nfc", retries: retries }, function( err ){
+		if( err ) return callback( err, serial );
+		console.log( "Row " + ( index + 1 ) + " (serial " + serial + ") ready; waiting for a tap" );
+		waitForRead( function( err ){ callback( err, serial ); });
+	});
+}
+
+/**
+ * batch provisioning.  for each row of the data file (CSV or
+ * JSONL), provision a tag from the template (@see provisionRow).
+ * progress goes to the log; rows already done are skipped, so
+ * an interrupted run can be restarted with the same arguments.
+ * stops at the first failure.
+ */
+function provision( templatePath, dataPath, logPath, callback )
+{
+	var tmpl = Template.load( templatePath, { serial: provision_serial });
+	var rows = template.loadRows( dataPath );
+	var done = readProvisionLog( logPath );
+	var count = 0;
+	var index = -1;
+
+	console.log( "Provisioning " + rows.length + " rows from " + dataPath + "; log is " + logPath );
+
+	var next = function(){
+		
+		index++;
+		while( index < rows.length && done[index] ) index++;
+		if( index >= rows.length )
+		{
+			console.log( "Provisioning complete: " + count + " tags" );
+			callback( null );
+			return;
+		}
+		
+		provisionRow( tmpl, rows[index], index, function( err, serial ){
+			if( err )
+			{
+				var message = err.message || String( err );
+				writeProvisionLog( logPath, { row: index, serial: serial, status: "failed", error: message });
+				console.log( "Row " + ( index + 1 ) + " failed: " + message );
+				console.log( "Stopped; run again to continue from this row" );
+				callback( err );
+				return;
+			}
+			writeProvisionLog( logPath, { row: index, serial: serial, status: "ok" });
+			count++;
+			next();
+		});
+	};
+	next();
+}
+
+/**
+ * start provisioning from the command line arguments; exit 
+ * when done, unless running interactively
+ */
+function startProvisioning()
+{
+	provisioning = true;
+	provision( provision_files[0], provision_files[1], 
+		provision_log || ( provision_files[1] + ".log" ), function( err ){
+			if ( !interactive ) {
+				comms.disconnect();
+				process.exit( err ? 1 : 0 );
+			}
+		});
+}
+
+/**
+ * check a slot name (nfc, nvm or ram)
+ */
+function checkSlot( slot )
+{
+	if ( !comms.MESSAGE_SLOT[ String( slot ).toLowerCase() ] ) throw( "Unknown message slot: " + slot + " (use nfc, nvm or ram)" );
+	return String( slot ).toLowerCase();
+}
+
+/**
+ * read a message, read a length or compare two slots, and 
+ * print the result.  (lengths are printed by the event handler.)
+ */
+function runQuery( q, callback )
+{
+	var done = function( err ){
+		if ( err ) console.log( "error: " + err.message );
+		if ( callback ) callback( err );
+	};
+	
+	switch( q.kind )
+	{
+		case "read":
+			comms.readMessage( q.slots[0], function( err, message ){
+				if ( !err ) console.log( message.toString());
+				done( err );
+			});
+			break;
+
+		case "length":
+			comms.readLength( q.slots[0], done );
+			break;
+
+		case "config":
+			comms.getConfig( function( err, config ){
+				if ( !err ) printConfig( config );
+				done( err );
+			});
+			break;
+
+		case "setconfig":
+			comms.setConfig( q.config, function( err, result ){
+				if ( !err ) {
+					console.log( result.changed.length ? "Changed: " + result.changed.join( ", " ) : "No changes" );
+					printConfig( result.config );
+				}
+				done( err );
+			});
+			break;
+
+		case "compare":
+			comms.compareSlots( q.slots[0], q.slots[1], function( err, result ){
+				if ( !err ) console.log( result.same 
+					? q.slots[0].toUpperCase() + " and " + q.slots[1].toUpperCase() + " messages match"
+					: q.slots[0].toUpperCase() + " and " + q.slots[1].toUpperCase() + " messages differ: " + comms.formatDiff( result.diff ));
+				done( err );
+			});
+			break;
+	}
+}
+
+/**
+ * print the board config
+ */
+function printConfig( config )
+{
+	for( var key in config ) console.log( "  " + key + ": " + config[key] );
+}
+
+/**
+ * read a board config file: JSON, with any of the settings
+ * readOnly, autoReload, autoRfEnable and txOnWrite (true or false)
+ */
+function readConfig( path )
+{
+	var config = JSON.parse( fs.readFileSync( path, { encoding: "utf8" }));
+	for( var key in config )
+	{
+		if ( !comms.PREF_COMMANDS[key] ) throw( "Unknown config setting in " + path + ": " + key );
+		if ( typeof( config[key] ) != "boolean" ) throw( "Config setting " + key + " in " + path + " must be true or false" );
+	}
+	return config;
+}
+
 /** utility method */
 function hex(c) {
 	
@@ -119,18 +426,25 @@ comms.events.on( "comms-event", function( evt ){
 
 		// data comes in response to requests
 		// for message length, it is always
-		// two bytes 
+		// two bytes.  responses to requests are
+		// labelled with the command.
 			
 		case comms.EVENT_TYPE.DATA:
-			console.log( "response: " + hex( evt.data[0] << 8 | evt.data[1] ));
+			if ( evt.command == comms.COMMAND.GET_USER_PREFS ) verbose( "prefs: " + hex( evt.value ));
+			else if ( typeof( evt.command ) != "undefined" ) console.log( comms.commandName( evt.command ) + ": " + evt.value );
+			else console.log( "response: " + hex( evt.data[0] << 8 | evt.data[1] ));
 			break;
 
 		// an error occurred.  this could be a comms error or
-		// an error from the board.  see
-		// http://sftoolworks.com/nfc/reference.html#errorcodes
+		// an error from the board; evt.error is the error 
+		// object (see the error classes in comms.js), and
+		// board errors are decoded in the message.  errors
+		// for a request (with a command) are printed by 
+		// whatever sent the request.
 			
 	    case comms.EVENT_TYPE.ERROR:
-			if ( typeof( evt.message ) != "undefined" ) console.log( "error: " + evt.message );
+			if ( typeof( evt.command ) != "undefined" ) verbose( "error: " + evt.message );
+			else if ( typeof( evt.message ) != "undefined" ) console.log( "error: " + evt.message );
 			else console.log( "error: " + hex(evt.data) );
 			break;
 		
@@ -151,10 +465,12 @@ comms.events.on( "comms-event", function( evt ){
 
 		// an NDEF message comes in already parsed via
 		// the ndef library.  see the file ndef.js for the
-		// structure of messages.
+		// structure of messages.  messages we asked for
+		// are printed by whatever asked (e.g. runQuery).
 			
 		case comms.EVENT_TYPE.NDEF_MESSAGE:
-			console.log( evt.data.toString());
+			if ( typeof( evt.command ) != "undefined" ) verbose( evt.data.toString());
+			else console.log( evt.data.toString());
 			break;
 	};
 		
@@ -172,12 +488,39 @@ function startRepl()
 	
 	R.context.quit = R.context.exit = function(){ process.exit(0); };
 
-	R.context.getMessage = function () {
-		comms.send([comms.COMMAND.GET_NFC_MESSAGE]);
+	R.context.getMessage = function ( slot ) {
+		runQuery({ kind: "read", slots: [ checkSlot( slot || "nfc" ) ]});
 	}
 	
+	R.context.getLength = function ( slot ) {
+		runQuery({ kind: "length", slots: [ checkSlot( slot || "nfc" ) ]});
+	}
+	
+	R.context.compareSlots = function ( a, b ) {
+		runQuery({ kind: "compare", slots: [ checkSlot( a || "nvm" ), checkSlot( b || "nfc" ) ]});
+	}
+	
+	R.context.getConfig = function () {
+		runQuery({ kind: "config" });
+	}
+	
+	R.context.setConfig = function ( config ) {
+		if ( typeof( config ) == "string" ) config = readConfig( config );
+		runQuery({ kind: "setconfig", config: config });
+	}
+	
+	R.context.dissect = function ( input, direction ) {
+		console.log( dissect.format( dissect.dissect( input, { direction: direction })));
+	};
+	
+	R.context.dissectTrace = function ( path ) {
+		console.log( dissect.format( dissect.dissectTrace( trace.readTrace( path ).entries )));
+	};
+	
 	R.context.command = function (a) {
-		comms.send([a]);
+		comms.request( a, function( err ){
+			if ( err ) console.log( "error: " + err.message );
+		});
 	}
 
 	R.context.readMessage = function( path ) {
@@ -187,18 +530,38 @@ function startRepl()
 	};
 
 	R.context.saveMessage = function( message, path ) {
-		var contents = message.getJSON();
-		fs.writeFileSync( path, message, "utf8" );
+		var contents = message.getJSON( true );
+		fs.writeFileSync( path, contents, "utf8" );
 	};
 	
-	R.context.sendMessage = function( obj ) {
+	R.context.sendMessage = function( obj, row ) {
+		var message = obj;
+		if ( typeof( obj ) == "string" ) message = Template.load( obj ).render( row );
+		sendMessage( message );
+	};
+
+	R.context.verify = function( on, count ) {
+		verify = ( typeof( on ) == "undefined" ) ? true : !!on;
+		if ( typeof( count ) == "number" ) retries = count;
+	};
+
+	R.context.validate = function( obj ) {
 		var message = obj;
 		if ( typeof( obj ) == "string" )
 		{
 			var contents = fs.readFileSync( obj , {encoding: "utf8"});
 			message = NDEF.Message.fromJSON( contents );
 		}
-		sendMessage( message );
+		var problems = message.validate();
+		for( var i = 0; i< problems.length; i++ ) console.log( problems[i].severity + ": " + problems[i].message );
+		return problems;
+	};
+
+	// with the simulator, act as a phone reading the tag
+	
+	R.context.tap = function() {
+		if ( null == simulator ) throw( "Not simulating" );
+		return simulator.tagRead();
 	};
 
 	R.context.help = function()
@@ -217,12 +580,23 @@ function helpRepl( )
 	console.log( "Specific commands available:" );
 	console.log()
 	console.log( "command( value )         // send a command to the board" );
-	console.log( "getMessage()             // retrieve the current message from the board" ); 
+	console.log( "getMessage( slot )       // retrieve a message from the board (nfc, nvm or ram)" ); 
+	console.log( "getLength( slot )        // message length (nfc, nvm or ram)" ); 
+	console.log( "compareSlots( a, b )     // compare two messages (default nvm, nfc)" ); 
+	console.log( "getConfig()              // print the board config (user prefs)" ); 
+	console.log( "setConfig( var )         // change the board config (object or json file)" ); 
+	console.log( "dissect( hex, dir )      // annotate raw bytes (dir \"host\" or \"board\")" ); 
+	console.log( "dissectTrace( path )     // annotate a trace file frame by frame" ); 
 	console.log( "readMessage( path )      // read a mesage from a json file (see message.json)" ); 
-	console.log( "sendMessage( var )       // send a message to the board" );
+	console.log( "sendMessage( var, row )  // send a message to the board" );
 	console.log( "saveMessage( obj, path ) // save a message as a json file" );
+	console.log( "validate( var )          // check a message for problems (object or json file)" );
+	console.log( "verify( on, retries )    // read back and compare messages after sending" );
+	console.log( "tap()                    // simulate a tag read (with -s)" );
 	console.log();
 	console.log( "for sendMessage(), pass either a message object or a path to a json file." );
+	console.log( "json files can use template variables like {{serial}} or {{date}}, see" );
+	console.log( "template.js; pass an object with any other values as the row." );
 	console.log( "you can construct a message using the NDEF object, or open a file using" );
 	console.log( "readMessage()." );
 	console.log();
@@ -247,9 +621,24 @@ function helpOption( )
 	console.log( "arguments:" );
 	console.log();				
 	console.log( "-?\t print this text and exit" );
-	console.log( "-p name\t use the specified port name" );
+	console.log( "-p name\t use the specified port name (or tcp://host:port)" );
+	console.log( "-s\t use a simulated board, for testing" );
+	console.log( "-r\t reconnect if the board is unplugged" );
 	console.log( "-v\t print extra output/debug info" );
 	console.log( "-i\t run interactive repl session" );
+	console.log( "-w\t verify: read back and compare messages after sending" );
+	console.log( "--retries n\t with -w, send again up to n times if verify fails" );
+	console.log( "-t path\t record a wire trace (replay it with trace.js)" );
+	console.log( "-b template data\t provision a tag for each row of the data file" );
+	console.log( "\t (CSV or JSONL), waiting for a tag read after each one" );
+	console.log( "-l path\t provisioning log (default: data file + .log); rows" );
+	console.log( "\t in the log are skipped, so an interrupted run can continue" );
+	console.log( "-n number\t first serial number for provisioning (default 1)" );
+	console.log( "-g slot\t print the message in a slot (nfc, nvm or ram) and exit" );
+	console.log( "--length slot\t print the message length in a slot and exit" );
+	console.log( "--compare a b\t compare the messages in two slots and exit" );
+	console.log( "--get-config\t print the board config and exit" );
+	console.log( "-c path\t apply a board config from a json file (see config.json) and exit" );
 	console.log();				
 	process.exit(0);
 }
@@ -274,14 +663,86 @@ for( var i in process.argv )
 			verbose = function(msg){ console.log( msg ); };
 			break;
 
+		case '-s':
+		case '--simulate':
+			simulate = true;
+			break;
+
+		case '-r':
+		case '--reconnect':
+			reconnect = true;
+			break;
+
 		case '-i':
 		case '--interactive':
 			interactive = true;
 			break;
+
+		case '-w':
+		case '--verify':
+			verify = true;
+			break;
+
+		case '--retries':
+			retries = Number( process.argv[++i] );
+			break;
+
+		case '-t':
+		case '--trace':
+			trace_path = process.argv[++i];
+			break;
+
+		case '-b':
+		case '--batch':
+			provision_files = [ process.argv[++i], process.argv[++i] ];
+			break;
+
+		case '-l':
+		case '--log':
+			provision_log = process.argv[++i];
+			break;
+
+		case '-n':
+		case '--serial':
+			provision_serial = Number( process.argv[++i] );
+			break;
+
+		case '-g':
+		case '--get':
+			query = { kind: "read", slots: [ checkSlot( process.argv[++i] ) ]};
+			break;
+
+		case '--length':
+			query = { kind: "length", slots: [ checkSlot( process.argv[++i] ) ]};
+			break;
+
+		case '--compare':
+			query = { kind: "compare", slots: [ checkSlot( process.argv[++i] ), checkSlot( process.argv[++i] ) ]};
+			break;
+
+		case '--get-config':
+			query = { kind: "config" };
+			break;
+
+		case '-c':
+		case '--config':
+			query = { kind: "setconfig", config: readConfig( process.argv[++i] ) };
+			break;
 	}
 }
 
 // start
-comms.connect( force_port );
+// with reconnect, initialization is sent again after reconnecting
+
+if ( simulate ) simulator = new Simulator();
+
+comms.connect( simulate ? simulator : force_port, { 
+	reconnect: reconnect,
+	trace: trace_path,
+	setup: function( connection, callback ){
+		initialize();
+		callback();
+	}
+});
 if ( interactive ) startRepl();
 
@@ -0,0 +1,382 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * software simulator for our project board.  the simulator
+ * is a transport (@see transport.js), so you can pass it
+ * directly to comms.connect:
+ *
+ * var sim = new Simulator();
+ * comms.connect( sim );
+ *
+ * it decodes the host framing (0x4A 0xE5 header, 0x4A in
+ * data escaped as 0xE5 0x4A), keeps NFC, RAM and NVM message
+ * buffers and answers commands the way the board does.  use
+ * tagRead() and tagWrite() to act as a phone tapping the tag.
+ *
+ * run it directly to serve a simulated board over TCP:
+ *
+ * node simulator.js [port]
+ * node nfc-client.js -p tcp://localhost:[port]
+ */
+
+var events = require("events"),
+	net = require("net"),
+	comms = require("./comms.js"),
+	transport = require("./transport.js");
+
+var COMMAND = comms.COMMAND,
+	RESPONSE_CODE = comms.RESPONSE_CODE,
+	ERROR_CODE = comms.ERROR_CODE,
+	PREF_BITS = comms.PREF_BITS;
+
+/** default TCP port when run directly */
+var DEFAULT_PORT = 5110;
+
+/** largest message the board will store */
+var MAX_MESSAGE_LENGTH = 2048;
+
+/** firmware version reported */
+var VERSION = 0x0100;
+
+/** interrupt flags */
+var INTERRUPT_READ = 0x02,
+	INTERRUPT_WRITE = 0x04;
+
+/**
+ * simulated board.  messages are stored as byte arrays;
+ * SET_NFC_MESSAGE and SET_NVM_MESSAGE go through the RAM
+ * buffer, as on the board.
+ */
+function Simulator()
+{
+	events.EventEmitter.call( this );
+
+	this.nfc = [];
+	this.ram = [];
+	this.nvm = [];
+
+	this.rfEnabled = true;
+	this.prefs =
+	{
+		readOnly: false,
+		autoReload: false,
+		autoRfEnable: true,
+		txOnWrite: false
+	};
+
+	this.rx = [];
+	this.isOpen = true;
+
+	var self = this;
+	process.nextTick( function(){ self.emit( "open" ); });
+};
+Simulator.prototype = Object.create( events.EventEmitter.prototype );
+
+/**
+ * transport interface: bytes from the host
+ */
+Simulator.prototype.write = function( bytes )
+{
+	if( !this.isOpen ) return;
+	for( var i = 0; i< bytes.length; i++ ) this.rx.push( bytes[i] );
+	this.processframes();
+};
+
+/**
+ * transport interface: close
+ */
+Simulator.prototype.close = function()
+{
+	var self = this;
+	if( !this.isOpen ) return;
+	this.isOpen = false;
+	process.nextTick( function(){ self.emit( "close" ); });
+};
+
+/**
+ * send bytes to the host.  responses are async, like
+ * the serial port.
+ */
+Simulator.prototype.respond = function( bytes )
+{
+	var self = this;
+	if( !this.isOpen ) return;
+	process.nextTick( function(){
+		if( self.isOpen ) self.emit( "data", bytes );
+	});
+};
+
+/**
+ * decode and execute as many complete frames as are
+ * buffered.  anything before a header is dropped.
+ */
+Simulator.prototype.processframes = function()
+{
+	while( this.rx.length )
+	{
+		// find header
+
+		var start = -1;
+		for( var i = 0; i< this.rx.length - 1; i++ )
+		{
+			if( this.rx[i] == 0x4a && this.rx[i+1] == 0xe5 )
+			{
+				start = i;
+				break;
+			}
+		}
+		if( start < 0 )
+		{
+			// keep a trailing 0x4a, it may be half a header
+			this.rx = ( this.rx[this.rx.length-1] == 0x4a ) ? [ 0x4a ] : [];
+			return;
+		}
+
+		var frame = this.unescape( this.rx, start + 2 );
+		if( null == frame )
+		{
+			this.rx = this.rx.slice( start );
+			return;
+		}
+		this.rx = this.rx.slice( frame.end );
+		this.execute( frame.data );
+	}
+};
+
+/**
+ * read one command (and its data) from the buffer, removing
+ * escapes.  returns { data, end } or null if incomplete.
+ */
+Simulator.prototype.unescape = function( buffer, offset )
+{
+	var data = [];
+	var ptr = offset;
+	var needed = 1;
+
+	while( data.length < needed )
+	{
+		if( ptr >= buffer.length ) return null;
+		var b = buffer[ptr++];
+
+		// 0xE5 0x4A is an escaped 0x4A; 0xE5 alone is data.  if
+		// 0xE5 is the last byte we have, wait for the next one,
+		// so it doesn't matter where TCP splits the data
+		if( b == 0xe5 && ptr >= buffer.length ) return null;
+		if( b == 0xe5 && buffer[ptr] == 0x4a ) b = buffer[ptr++];
+		data.push( b );
+
+		// message writes carry a length, then the message
+
+		if( data[0] == COMMAND.SET_NFC_MESSAGE || data[0] == COMMAND.SET_NVM_MESSAGE )
+		{
+			if( data.length == 1 ) needed = 3;
+			else if( data.length == 3 ) needed = 3 + (( data[1] << 8 ) | data[2] );
+		}
+	}
+	return { data: data, end: ptr };
+};
+
+/**
+ * handle one command
+ */
+Simulator.prototype.execute = function( data )
+{
+	var command = data[0];
+	switch( command )
+	{
+	case COMMAND.VERSION:
+		this.respond([ RESPONSE_CODE.VERSION, VERSION >> 8, VERSION & 0xff ]);
+		return;
+
+	case COMMAND.GET_NFC_MESSAGE:
+		this.respondmessage( this.nfc );
+		return;
+	case COMMAND.GET_RAM_MESSAGE:
+		this.respondmessage( this.ram );
+		return;
+	case COMMAND.GET_NVM_MESSAGE:
+		this.respondmessage( this.nvm );
+		return;
+
+	case COMMAND.GET_NFC_MESSAGE_LENGTH:
+		this.responddata( this.nfc.length );
+		return;
+	case COMMAND.GET_RAM_MESSAGE_LENGTH:
+		this.responddata( this.ram.length );
+		return;
+	case COMMAND.GET_NVM_MESSAGE_LENGTH:
+		this.responddata( this.nvm.length );
+		return;
+
+	case COMMAND.GET_USER_PREFS:
+		var bits = 0;
+		for( var key in PREF_BITS ) if( this.prefs[key] ) bits |= PREF_BITS[key];
+		this.responddata( bits );
+		return;
+
+	case COMMAND.SET_NFC_MESSAGE:
+	case COMMAND.SET_NVM_MESSAGE:
+		var message = data.slice( 3 );
+		if( message.length > MAX_MESSAGE_LENGTH )
+		{
+			this.responderror( ERROR_CODE.MESSAGE_TOO_LONG );
+			return;
+		}
+		this.ram = message;
+		if( command == COMMAND.SET_NFC_MESSAGE ) this.nfc = message.slice( 0 );
+		else this.nvm = message.slice( 0 );
+		break;
+
+	case COMMAND.RESET_MESSAGE:
+		this.nfc = this.nvm.slice( 0 );
+		break;
+
+	case COMMAND.RF_ENABLE: this.rfEnabled = true; break;
+	case COMMAND.RF_DISABLE: this.rfEnabled = false; break;
+
+	case COMMAND.READWRITE: this.prefs.readOnly = false; break;
+	case COMMAND.READONLY: this.prefs.readOnly = true; break;
+	case COMMAND.AUTO_RELOAD_MESSAGE_ON: this.prefs.autoReload = true; break;
+	case COMMAND.AUTO_RELOAD_MESSAGE_OFF: this.prefs.autoReload = false; break;
+	case COMMAND.AUTO_RF_ENABLE_ON: this.prefs.autoRfEnable = true; break;
+	case COMMAND.AUTO_RF_ENABLE_OFF: this.prefs.autoRfEnable = false; break;
+	case COMMAND.TX_MESSAGE_ON_WRITE_ON: this.prefs.txOnWrite = true; break;
+	case COMMAND.TX_MESSAGE_ON_WRITE_OFF: this.prefs.txOnWrite = false; break;
+
+	case COMMAND.RESET_NFC:
+	case COMMAND.RESET_BOARD:
+		this.nfc = this.nvm.slice( 0 );
+		this.ram = [];
+		this.rfEnabled = this.prefs.autoRfEnable;
+		break;
+
+	case COMMAND.NULL:
+	case COMMAND.BLINK:
+	case COMMAND.START_USART_MODE:
+	case COMMAND.START_USB_MODE:
+	case COMMAND.USBSERIAL_MODE:
+	case COMMAND.USART_MODE_DEFAULT:
+	case COMMAND.USB_MODE_DEFAULT:
+	case COMMAND.MODE_CONFIRM_1:
+	case COMMAND.MODE_CONFIRM_2:
+		break;
+
+	default:
+		this.responderror( ERROR_CODE.UNKNOWN_COMMAND );
+		return;
+	}
+
+	this.respond([ RESPONSE_CODE.ACK, command ]);
+};
+
+/**
+ * message response: code, two bytes length, message
+ */
+Simulator.prototype.respondmessage = function( message )
+{
+	this.respond([ RESPONSE_CODE.MESSAGE, message.length >> 8, message.length & 0xff ].concat( message ));
+};
+
+/**
+ * data response: code, two bytes
+ */
+Simulator.prototype.responddata = function( value )
+{
+	this.respond([ RESPONSE_CODE.DATA, ( value >> 8 ) & 0xff, value & 0xff ]);
+};
+
+/**
+ * error response: code, error code
+ */
+Simulator.prototype.responderror = function( code )
+{
+	this.respond([ RESPONSE_CODE.ERR, code ]);
+};
+
+/**
+ * send debug text, as the board does during development
+ */
+Simulator.prototype.info = function( text )
+{
+	var bytes = [];
+	for( var i = 0; i< text.length; i++ ) bytes.push( text.charCodeAt( i ));
+	this.respond( bytes );
+};
+
+/**
+ * simulate a phone reading the tag.  returns the message
+ * bytes, or null if the RF field is disabled.
+ */
+Simulator.prototype.tagRead = function()
+{
+	if( !this.rfEnabled ) return null;
+	this.respond([ RESPONSE_CODE.INTERRUPT, INTERRUPT_READ ]);
+	return this.nfc.slice( 0 );
+};
+
+/**
+ * simulate a phone writing the tag.  pass the message as
+ * bytes, or an NDEF message object.  returns false if the
+ * tag is read only or the RF field is disabled.
+ */
+Simulator.prototype.tagWrite = function( message )
+{
+	if( !this.rfEnabled || this.prefs.readOnly ) return false;
+
+	var bytes = ( typeof( message.getBytes ) == "function" ) ? message.getBytes() : message;
+	this.nfc = [];
+	for( var i = 0; i< bytes.length; i++ ) this.nfc.push( bytes[i] );
+
+	this.respond([ RESPONSE_CODE.INTERRUPT, INTERRUPT_WRITE ]);
+	if( this.prefs.txOnWrite ) this.respondmessage( this.nfc );
+	if( this.prefs.autoReload ) this.nfc = this.nvm.slice( 0 );
+	return true;
+};
+
+/**
+ * serve a simulated board over TCP, one client at a time.
+ * board state is kept across clients.  port 0 picks any
+ * free port (server.address().port).
+ */
+function listen( port, callback )
+{
+	var simulator = new Simulator();
+	var server = net.createServer( function( socket ){
+
+		// a new client replaces the last one
+		if( server.forward ) simulator.removeListener( "data", server.forward );
+		var forward = server.forward = function( bytes ){
+			socket.write( transport.toBuffer( bytes ));
+		};
+		simulator.isOpen = true;
+		simulator.rx = [];
+		simulator.on( "data", forward );
+		socket.on( "data", function( data ){ if( server.forward === forward ) simulator.write( data ); });
+
+		// a client that goes away (or resets) shouldn't take the server with it
+		socket.on( "error", function( err ){});
+		socket.on( "close", function(){
+			simulator.removeListener( "data", forward );
+			if( server.forward === forward ) server.forward = null;
+		});
+	});
+	server.listen(( null == port ) ? DEFAULT_PORT : port, callback );
+	server.simulator = simulator;
+	return server;
+};
+
+if( typeof( exports ) != "undefined" )
+{
+	exports.Simulator = Simulator;
+	exports.listen = listen;
+	exports.PREF_BITS = PREF_BITS;
+}
+
+if( require.main === module )
+{
+	var port = Number( process.argv[2] ) || DEFAULT_PORT;
+	listen( port, function(){
+		console.log( "Simulated board listening on tcp://localhost:" + port );
+	});
+}
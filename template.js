@@ -0,0 +1,306 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * message templates.  a template is a JSON message (either
+ * format, @see ndef.js) with variables in string values:
+ *
+ * {{serial}}		serial number; counts up from 1 (or the start
+ *					value) with each message rendered
+ * {{counter.x}}	named counter, see options
+ * {{date}}			date, YYYY-MM-DD
+ * {{time}}			time, HH:MM:SS
+ * {{timestamp}}	date and time, ISO 8601
+ * {{env.X}}		environment variable X
+ * {{x}}			value x from the data row (e.g. a CSV column);
+ *					also {{row.x}}
+ *
+ * numbers can be zero-padded: {{serial:6}} -> 000001.  list
+ * alternatives with |: {{env.USERNAME|env.USER|"nobody"}} uses 
+ * the first one that's set (quoted text is used as-is).  if a 
+ * string is just one variable, the value is used as-is, so it 
+ * can be a number or an object.
+ *
+ * var t = Template.load( "options-message.json" );
+ * var message = t.render({ name: "first tag" });
+ */
+
+var fs = require("fs"),
+	NDEF = require("./ndef.js");
+
+var VARIABLE = /\{\{\s*([^}]*?)\s*\}\}/g;
+
+/**
+ * template from JSON (a string, or already parsed).  options:
+ *
+ * { serial: 1,						// first serial number
+ *   counters: { x: { start: 0, step: 1 } },
+ *   env: process.env				// environment variables
+ * }
+ */
+function Template( json, options )
+{
+	options = options || {};
+	this.source = ( typeof( json ) == "string" ) ? JSON.parse( json ) : json;
+	this.serial = ( typeof( options.serial ) == "number" ) ? options.serial : 1;
+	this.counters = options.counters || {};
+	this.env = options.env || process.env;
+
+	// number of messages rendered; counters are based on this
+	this.count = 0;
+};
+
+/**
+ * load a template file
+ */
+Template.load = function( path, options )
+{
+	return new Template( fs.readFileSync( path, { encoding: "utf8" }), options );
+};
+
+/**
+ * zero-pad a number
+ */
+function pad( value, width )
+{
+	var str = String( value );
+	while( str.length < width ) str = "0" + str;
+	return str;
+};
+
+/**
+ * two digits, for dates
+ */
+function two( n )
+{
+	return pad( n, 2 );
+};
+
+/**
+ * variables for one render: fixed values plus the row
+ */
+Template.prototype.context = function( row )
+{
+	var now = new Date();
+	return {
+		serial: this.serial + this.count,
+		date: now.getFullYear() + "-" + two( now.getMonth() + 1 ) + "-" + two( now.getDate()),
+		time: two( now.getHours()) + ":" + two( now.getMinutes()) + ":" + two( now.getSeconds()),
+		timestamp: now.toISOString(),
+		row: row || {}
+	};
+};
+
+/**
+ * value of one variable (without braces), or undefined
+ */
+Template.prototype.lookup = function( name, context )
+{
+	var literal = name.match( /^"(.*)"$/ );
+	if( literal ) return literal[1];
+	
+	var parts = name.split( "." );
+	switch( parts[0] )
+	{
+	case "env":
+		return this.env[ parts.slice( 1 ).join( "." ) ];
+	case "counter":
+		var counter = this.counters[ parts[1] ] || {};
+		var start = ( typeof( counter.start ) == "number" ) ? counter.start : 0;
+		var step = ( typeof( counter.step ) == "number" ) ? counter.step : 1;
+		return start + step * this.count;
+	case "row":
+		return context.row[ parts.slice( 1 ).join( "." ) ];
+	case "serial":
+	case "date":
+	case "time":
+	case "timestamp":
+		if( parts.length == 1 ) return context[name];
+	}
+	return context.row[name];
+};
+
+/**
+ * evaluate the contents of {{ }}: alternatives, then padding.
+ * empty values are skipped if there's another alternative. 
+ * throws if nothing matches.
+ */
+Template.prototype.evaluate = function( expression, context )
+{
+	var format = expression.match( /^(.*?):(\d+)$/ );
+	if( format ) expression = format[1];
+
+	var names = expression.split( "|" );
+	for( var i = 0; i< names.length; i++ )
+	{
+		var value = this.lookup( names[i].trim(), context );
+		if( typeof( value ) != "undefined" && null != value && ( value !== "" || i == names.length - 1 ))
+		{
+			if( format ) value = pad( value, Number( format[2] ));
+			return value;
+		}
+	}
+	throw( "Template variable not set: " + expression );
+};
+
+/**
+ * fill in variables in a JSON value (recursively)
+ */
+Template.prototype.fill = function( value, context )
+{
+	var self = this;
+	if( typeof( value ) == "string" )
+	{
+		var single = value.match( /^\{\{\s*([^}]*?)\s*\}\}$/ );
+		if( single ) return this.evaluate( single[1], context );
+		return value.replace( VARIABLE, function( match, expression ){
+			var result = self.evaluate( expression, context );
+			return ( typeof( result ) == "object" ) ? JSON.stringify( result ) : String( result );
+		});
+	}
+	if( Array.isArray( value ))
+	{
+		var list = [];
+		for( var i = 0; i< value.length; i++ ) list.push( this.fill( value[i], context ));
+		return list;
+	}
+	if( null != value && typeof( value ) == "object" )
+	{
+		var obj = {};
+		for( var key in value ) obj[key] = this.fill( value[key], context );
+		return obj;
+	}
+	return value;
+};
+
+/**
+ * render the template as JSON (an object), with values from
+ * the row.  doesn't count as a message; @see render
+ */
+Template.prototype.renderJSON = function( row )
+{
+	return this.fill( this.source, this.context( row ));
+};
+
+/**
+ * render the template as an NDEF message, with values from
+ * the row.  serial numbers and counters move on.
+ */
+Template.prototype.render = function( row )
+{
+	var message = NDEF.Message.fromJSON( this.renderJSON( row ));
+	this.count++;
+	return message;
+};
+
+/**
+ * names of the variables in the template
+ */
+Template.prototype.variables = function()
+{
+	var list = [];
+	var find = function( value ){
+		if( typeof( value ) == "string" ) 
+		{
+			value.replace( VARIABLE, function( match, expression ){
+				if( list.indexOf( expression ) < 0 ) list.push( expression );
+				return match;
+			});
+		}
+		else if( null != value && typeof( value ) == "object" ) for( var key in value ) find( value[key] );
+	};
+	find( this.source );
+	return list;
+};
+
+/**
+ * parse CSV text (RFC 4180: quoted fields, "" for a quote).
+ * the first line is the column names; returns a list of row
+ * objects.
+ */
+function parseCSV( text )
+{
+	var lines = [];
+	var fields = [];
+	var field = "";
+	var quoted = false;
+
+	text = text.replace( /^\uFEFF/, "" );
+	for( var i = 0; i< text.length; i++ )
+	{
+		var c = text.charAt( i );
+		if( quoted )
+		{
+			if( c == "\"" && text.charAt( i + 1 ) == "\"" ) { field += c; i++; }
+			else if( c == "\"" ) quoted = false;
+			else field += c;
+		}
+		else if( c == "\"" ) quoted = true;
+		else if( c == "," ) { fields.push( field ); field = ""; }
+		else if( c == "\n" || c == "\r" )
+		{
+			if( c == "\r" && text.charAt( i + 1 ) == "\n" ) i++;
+			fields.push( field );
+			lines.push( fields );
+			fields = [];
+			field = "";
+		}
+		else field += c;
+	}
+	if( field.length || fields.length )
+	{
+		fields.push( field );
+		lines.push( fields );
+	}
+
+	var rows = [];
+	var names = lines.shift() || [];
+	for( var i = 0; i< lines.length; i++ )
+	{
+		if( lines[i].length == 1 && lines[i][0] == "" ) continue; // blank line
+		var row = {};
+		for( var j = 0; j< names.length; j++ ) row[names[j].trim()] = ( j < lines[i].length ) ? lines[i][j] : "";
+		rows.push( row );
+	}
+	return rows;
+};
+
+/**
+ * parse JSONL text: one JSON object per line
+ */
+function parseJSONL( text )
+{
+	var rows = [];
+	var lines = text.split( /\r?\n/ );
+	for( var i = 0; i< lines.length; i++ )
+	{
+		if( !lines[i].trim().length ) continue;
+		try
+		{
+			rows.push( JSON.parse( lines[i] ));
+		}
+		catch( ex )
+		{
+			throw( "Invalid JSON on line " + ( i + 1 ) + ": " + ex.message );
+		}
+	}
+	return rows;
+};
+
+/**
+ * load data rows from a CSV or JSONL (.jsonl, .ndjson) file
+ */
+function loadRows( path )
+{
+	var text = fs.readFileSync( path, { encoding: "utf8" });
+	if( /\.(jsonl|ndjson)$/i.test( path )) return parseJSONL( text );
+	return parseCSV( text );
+};
+
+if( typeof( exports ) != "undefined" )
+{
+	exports.Template = Template;
+	exports.parseCSV = parseCSV;
+	exports.parseJSONL = parseJSONL;
+	exports.loadRows = loadRows;
+}
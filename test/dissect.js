@@ -0,0 +1,153 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * protocol dissector: host and board frames, NDEF records
+ * and chunks, damaged and incomplete frames, traces, and
+ * the formatted output.
+ */
+
+var assert = require("assert"),
+	dissect = require("../dissect.js"),
+	trace = require("../trace.js");
+
+/**
+ * the text of each item (and record) in each frame, as
+ * [ [ "header", "command ...", ... ], ... ]
+ */
+function texts( frames )
+{
+	return frames.map( function( frame ){
+		var list = [];
+		frame.items.forEach( function( item ){
+			list.push( item.text );
+			( item.records || []).forEach( function( record ){ list.push( "+ " + record.text ); });
+		});
+		return list;
+	});
+};
+
+exports["hex input"] = function()
+{
+	assert.deepEqual( dissect.parsehex( "0x4A,0xe5 40:00\n01" ), [ 0x4a, 0xe5, 0x40, 0x00, 0x01 ]);
+	assert.throws( function(){ dissect.parsehex( "4g" ); }, /Invalid hex: 4g/ );
+	assert.throws( function(){ dissect.parsehex( "4a e" ); }, /odd number of digits/ );
+};
+
+exports["host frames"] = function()
+{
+	// a message write, with 0x4a ("J") escaped in the data; then
+	// a command we don't know, and bytes without a header
+
+	var frames = dissect.dissect( "4a e5 40 00 08 d1 01 04 54 02 65 6e e5 4a" + "4a e5 55" + "00 01" + "4a e5 06" );
+	assert.equal( frames[0].direction, "host" );
+	assert.deepEqual( texts( frames ), [
+		[ "header", "command 0x40 SET_NFC_MESSAGE", "length 8", "NDEF message, 8 bytes",
+			"+ record: header 0xd1 (MB ME SR), TNF 1 (well-known), type \"T\", payload 4 bytes",
+			"escape: 0x4a in data" ],
+		[ "header", "command 0x55 0x55" ],
+		[ "not a frame (no header)" ],
+		[ "header", "command 0x06 BLINK" ]
+	]);
+	assert.equal( frames[0].items[3].bytes.length, 9 );
+	assert.equal( frames[0].items[4].offset, 12 );
+	assert.equal( frames[0].items[3].records[0].detail, "NDEF Text Record, length 1 (en, utf-8)\nJ" );
+	assert.equal( frames[2].offset, 17 );
+
+	// and in the length
+	var zeros = "";
+	while( zeros.length < 0x4a * 2 ) zeros += "00";
+	frames = dissect.dissect( "4a e5 42 00 e5 4a" + zeros );
+	assert.deepEqual( texts( frames )[0].slice( 2, 4 ), [ "length 74", "NDEF message, 74 bytes" ]);
+	assert.deepEqual( frames[0].items[2].bytes, [ 0x00, 0xe5, 0x4a ]);
+	assert.equal( frames[0].items[ frames[0].items.length - 1 ].offset, 4 );
+
+	// cut short
+	assert.deepEqual( texts( dissect.dissect( "4a e5" )), [[ "header", "incomplete: no command" ]]);
+	assert.deepEqual( texts( dissect.dissect( "4a e5 42 00" )), [[ "header", "command 0x42 SET_NVM_MESSAGE", "incomplete: no length" ]]);
+	assert.equal( texts( dissect.dissect( "4a e5 42 00 03 d0" ))[0][3], "NDEF message, 1 byte (incomplete: expected 3)" );
+};
+
+exports["board frames"] = function()
+{
+	var frames = dissect.dissect( "a1 40 a2 00 07 a5 00 03 d0 00 00 48 69 0a ef 03 a4 06 07 a5 ff ff a0 01" );
+	assert.deepEqual( texts( frames ), [
+		[ "ACK SET_NFC_MESSAGE" ],
+		[ "DATA 0x0007 (7)" ],
+		[ "MESSAGE, length 3", "NDEF message, 3 bytes", "+ record: header 0xd0 (MB ME SR), TNF 0 (empty), payload 0 bytes" ],
+		[ "text ``Hi\\n''" ],
+		[ "ERR Board error 0x03 (MESSAGE_TOO_LONG): Message is too long for the board" ],
+		[ "INTERRUPT 0x06 read write" ],
+		[ "not a frame (garbage)" ],
+		[ "MESSAGE, length 65535 (over the maximum; dropped)" ],
+		[ "not a frame (garbage)" ],
+		[ "VERSION (incomplete)" ]
+	]);
+	assert.equal( frames[2].items[1].records[0].detail, "NDEF Empty Record" );
+	assert.deepEqual( frames[8].items[0].bytes, [ 0xff, 0xff ]);
+
+	// board frames can be asked for, even if they look like host frames
+	assert.deepEqual( texts( dissect.dissect([ 0x4a, 0xe5 ], { direction: "board" })), [[ "not a frame (garbage)" ]]);
+};
+
+exports["records and chunks"] = function()
+{
+	// a text record in two chunks, then a URI with an ID; the
+	// chunked record is decoded with its last chunk
+
+	var items = dissect.dissectNDEF( trace.fromhex( "b1010254" + "0265" + "160002" + "6e61" + "59010401" + "55" + "30" + "03616263" ));
+	assert.deepEqual( items.map( function( item ){ return item.text; }), [
+		"record: header 0xb1 (MB CF SR), TNF 1 (well-known), type \"T\", payload 2 bytes",
+		"chunk: header 0x16 (SR), TNF 6 (unchanged), payload 2 bytes",
+		"record: header 0x59 (ME SR IL), TNF 1 (well-known), type \"U\", id \"0\", payload 4 bytes"
+	]);
+	assert.strictEqual( items[0].detail, undefined );
+	assert.equal( items[1].detail, "NDEF Text Record, length 1 (en, utf-8)\na" );
+	assert.equal( items[1].offset, 6 );
+	assert.ok( /http:\/\/abc/.test( items[2].detail ));
+
+	assert.deepEqual( dissect.dissectNDEF([]), [{ offset: 0, bytes: [], text: "empty message" }]);
+	items = dissect.dissectNDEF( trace.fromhex( "b1010254" + "0265" ));
+	assert.equal( items[1].text, "incomplete chunked record" );
+	items = dissect.dissectNDEF( trace.fromhex( "d10109" + "5503" ));
+	assert.ok( /^invalid record: /.test( items[0].text ));
+	assert.deepEqual( items[0].bytes, [ 0xd1, 0x01, 0x09, 0x55, 0x03 ]);
+};
+
+exports["traces"] = function()
+{
+	// inbound chunks are put together up to the next command,
+	// and frames get the time of the first chunk
+
+	var entries = trace.parseTrace( "{\"trace\":\"nfc\",\"version\":1}\n"
+		+ "{\"t\":1,\"dir\":\"out\",\"data\":\"4ae520\"}\n"
+		+ "{\"t\":5,\"dir\":\"in\",\"data\":\"a500\"}\n"
+		+ "{\"t\":6,\"dir\":\"in\",\"data\":\"03d00000a4\"}\n"
+		+ "{\"t\":7,\"event\":\"closed\"}\n"
+		+ "{\"t\":9,\"dir\":\"in\",\"data\":\"02\"}\n" ).entries;
+	var frames = dissect.dissectTrace( entries );
+	assert.deepEqual( texts( frames ), [
+		[ "header", "command 0x20 GET_NFC_MESSAGE" ],
+		[ "MESSAGE, length 3", "NDEF message, 3 bytes", "+ record: header 0xd0 (MB ME SR), TNF 0 (empty), payload 0 bytes" ],
+		[ "INTERRUPT (incomplete)" ],
+		[ "not a frame (garbage)" ]
+	]);
+	assert.deepEqual( frames.map( function( frame ){ return frame.t; }), [ 1, 5, 5, 9 ]);
+};
+
+exports["formatted output"] = function()
+{
+	var text = dissect.format( dissect.dissect( "a5 00 0b d1 01 07 54 02 65 6e 61 62 63 64" ));
+	assert.equal( text, [
+		"board -> host",
+		"  0000  a5 00 0b                    MESSAGE, length 11",
+		"  0003  d1 01 07 54 02 65 6e 61 ..  NDEF message, 11 bytes",
+		"    +0000  d1 01 07 54 02 65 6e 61 ..  record: header 0xd1 (MB ME SR), TNF 1 (well-known), type \"T\", payload 7 bytes",
+		"           NDEF Text Record, length 4 (en, utf-8)",
+		"           abcd"
+	].join( "\n" ));
+
+	var frames = dissect.dissect( "4a e5 06" );
+	frames[0].t = 12;
+	assert.equal( dissect.format( frames ).split( "\n" )[0], "host -> board (+12ms)" );
+};
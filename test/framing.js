@@ -0,0 +1,289 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * inbound framing.  the streams in test/streams are recorded
+ * board output (each line is the time, in ms, and the bytes
+ * that arrived) with the kinds of damage we see on the wire;
+ * each is played through the parser and the events checked.
+ * then the same streams are cut up and corrupted at random,
+ * to make sure the parser never throws or hangs, and always
+ * gets back in sync.
+ */
+
+var assert = require("assert"),
+	fs = require("fs"),
+	path = require("path"),
+	comms = require("../comms.js"),
+	NDEF = require("../ndef.js");
+
+var STREAMS = [ "split-chunks", "over-long", "lost-byte", "garbage", "frame-timeout", "corrupt-length" ];
+
+/**
+ * hex string -> bytes
+ */
+function fromhex( str )
+{
+	var bytes = [];
+	for( var i = 0; i + 1 < str.length; i += 2 ) bytes.push( parseInt( str.substr( i, 2 ), 16 ));
+	return bytes;
+};
+
+/**
+ * chunks from a recorded stream, as { t, data }
+ */
+function stream( name )
+{
+	var text = fs.readFileSync( path.join( __dirname, "streams", name + ".txt" ), { encoding: "utf8" });
+	var chunks = [];
+	text.split( /\r?\n/ ).forEach( function( line ){
+		line = line.trim();
+		if( !line.length || line.charAt( 0 ) == "#" ) return;
+		var parts = line.split( /\s+/ );
+		chunks.push({ t: Number( parts[0] ), data: fromhex( parts[1] )});
+	});
+	return chunks;
+};
+
+/**
+ * one line for an event
+ */
+function describe( evt )
+{
+	var byte = function( b ){ return ( b < 0x10 ? "0" : "" ) + b.toString( 16 ); };
+	switch( evt.type )
+	{
+	case comms.EVENT_TYPE.ACK: return "ACK " + byte( evt.data );
+	case comms.EVENT_TYPE.INTERRUPT: return "INTERRUPT " + byte( evt.data );
+	case comms.EVENT_TYPE.DATA: return "DATA " + evt.value;
+	case comms.EVENT_TYPE.VERSION: return "VERSION " + evt.value;
+	case comms.EVENT_TYPE.NDEF_MESSAGE: return "MESSAGE " + evt.data.records[0].toString().trim();
+	case comms.EVENT_TYPE.ERROR: return evt.error.name + ": " + evt.message;
+	case comms.EVENT_TYPE.INFORMATION: return "TEXT " + JSON.stringify( evt.message );
+	}
+	return "? " + evt.type;
+};
+
+/**
+ * play chunks through a connection's parser, with time from
+ * the recording rather than timers: the frame times out where
+ * the gap before a chunk is longer than frameTimeout.  returns
+ * { lines, stats, connection }.
+ *
+ * options: { frameTimeout: ms, maxFrameLength: n }
+ */
+function play( chunks, options )
+{
+	options = options || {};
+	var connection = new comms.Connection();
+	if( typeof( options.frameTimeout ) == "number" ) connection.frameTimeout = options.frameTimeout;
+	if( typeof( options.maxFrameLength ) == "number" ) connection.maxFrameLength = options.maxFrameLength;
+	connection.startframetimer = function(){};
+
+	var lines = [];
+	connection.events.on( "comms-event", function( evt ){ lines.push( describe( evt )); });
+
+	var last = 0;
+	chunks.forEach( function( chunk ){
+		if( connection.inframe() && chunk.t - last > connection.frameTimeout ) connection.frametimeout();
+		last = chunk.t;
+		connection.processdata( chunk.data );
+	});
+	return { lines: lines, stats: connection.stats, connection: connection };
+};
+
+/**
+ * repeatable random numbers, [0, n)
+ */
+function random( seed )
+{
+	return function( n ){
+		seed = ( seed * 69069 + 1 ) >>> 0;
+		return Math.floor(( seed / 0x100000000 ) * n );
+	};
+};
+
+/**
+ * copy of chunks, each cut into smaller chunks at random,
+ * all at the same time
+ */
+function rechunk( chunks, rnd )
+{
+	var list = [];
+	chunks.forEach( function( chunk ){
+		var offset = 0;
+		while( offset < chunk.data.length )
+		{
+			var count = 1 + rnd( chunk.data.length - offset );
+			list.push({ t: chunk.t, data: chunk.data.slice( offset, offset + count ) });
+			offset += count;
+		}
+	});
+	return list;
+};
+
+/**
+ * copy of chunks with one byte dropped, changed or added.  new
+ * bytes are often response codes, which are the interesting case.
+ */
+var CODES = [ 0xa0, 0xa1, 0xa2, 0xa4, 0xa5, 0xef ];
+function mutate( chunks, rnd )
+{
+	var list = chunks.slice( 0 );
+	var index = rnd( list.length );
+	var data = list[index].data.slice( 0 );
+	var offset = rnd( data.length + 1 );
+	var b = rnd( 2 ) ? CODES[ rnd( CODES.length ) ] : rnd( 256 );
+	switch( rnd( 3 ))
+	{
+	case 0: data.splice( offset, 1 ); break;
+	case 1: data.splice( offset, 1, b ); break;
+	default: data.splice( offset, 0, b ); break;
+	}
+	list[index] = { t: list[index].t, data: data };
+	return list;
+};
+
+var MESSAGE = "MESSAGE NDEF URI Record: http://www.abc";
+
+exports["split chunks"] = function()
+{
+	var result = play( stream( "split-chunks" ));
+	assert.deepEqual( result.lines, [ "DATA 8", MESSAGE, "ACK 34", "INTERRUPT 04" ]);
+	assert.equal( result.stats.frames, 4 );
+	assert.equal( result.stats.droppedFrames, 0 );
+};
+
+exports["over-long length"] = function()
+{
+	var result = play( stream( "over-long" ));
+	assert.deepEqual( result.lines, [
+		"FramingError: Message length 65535 is over the maximum (2048)",
+		MESSAGE
+	]);
+	assert.equal( result.stats.droppedFrames, 1 );
+	assert.equal( result.stats.droppedBytes, 3 );
+
+	// and the limit is configurable
+	result = play( stream( "over-long" ), { maxFrameLength: 4 });
+	assert.equal( result.stats.droppedFrames, 2 );
+	assert.equal( result.stats.frames, 0 );
+};
+
+exports["lost byte"] = function()
+{
+	var result = play( stream( "lost-byte" ));
+	assert.deepEqual( result.lines, [
+		"FramingError: Incomplete frame: response code 0xa2 inside a frame",
+		"DATA 8",
+		"FramingError: Incomplete frame: response code 0xa1 inside a frame",
+		"ACK 34"
+	]);
+	assert.equal( result.stats.droppedFrames, 2 );
+	assert.equal( result.stats.droppedBytes, 2 );
+};
+
+exports["garbage between frames"] = function()
+{
+	var result = play( stream( "garbage" ));
+	assert.deepEqual( result.lines, [ "TEXT \"boot ok\\r\\n\"", "ACK 34", "DATA 8" ]);
+	assert.equal( result.stats.garbageBytes, 9 );
+	assert.equal( result.stats.droppedFrames, 0 );
+};
+
+exports["frame timeout"] = function()
+{
+	var result = play( stream( "frame-timeout" ));
+	assert.deepEqual( result.lines, [
+		"FramingError: Incomplete frame: no data for 500ms",
+		"FramingError: Incomplete frame: no data for 500ms",
+		"DATA 8",
+		"INTERRUPT 04"
+	]);
+	assert.equal( result.stats.frameTimeouts, 2 );
+	assert.equal( result.stats.droppedBytes, 12 );
+
+	// no timeout if the gaps are shorter
+	result = play( stream( "frame-timeout" ), { frameTimeout: 5000 });
+	assert.equal( result.stats.frameTimeouts, 0 );
+	assert.equal( result.stats.droppedFrames, 0 );
+};
+
+exports["frame timer"] = function( done )
+{
+	// same thing, with a real timer
+
+	var connection = new comms.Connection();
+	var lines = [];
+	connection.frameTimeout = 20;
+	connection.events.on( "comms-event", function( evt ){ lines.push( describe( evt )); });
+
+	connection.processdata([ 0xa5, 0x01, 0x00, 0xa2, 0x00, 0x08 ]);
+	assert.ok( connection.inframe());
+	setTimeout( function(){
+		assert.deepEqual( lines, [ "FramingError: Incomplete frame: no data for 20ms", "DATA 8" ]);
+		assert.ok( !connection.inframe());
+		assert.equal( connection.stats.frameTimeouts, 1 );
+		done();
+	}, 100 );
+};
+
+exports["corrupt record length"] = function()
+{
+	// this used to loop forever in Message.parse
+
+	var result = play( stream( "corrupt-length" ));
+	assert.deepEqual( result.lines, [
+		"NDEFParseError: Message read error: Invalid NDEF record data (len 2717908992/0)",
+		"DATA 7"
+	]);
+
+	[[ 0xc1, 0x01, 0xa2, 0x00, 0x00, 0x00, 0x54 ],
+	 [ 0xc1, 0x01, 0xff, 0xff, 0xff, 0xff, 0x54 ],
+	 [ 0xd1, 0x01, 0x05, 0x54, 0x00 ]].forEach( function( bytes ){
+		assert.throws( function(){ NDEF.Message.parse( bytes ); }, /Invalid NDEF record data/ );
+	});
+};
+
+exports["random chunks"] = function()
+{
+	// where the chunks break doesn't matter (except to text,
+	// which is passed on as it arrives)
+
+	var frames = function( lines ){ return lines.filter( function( line ){ return line.indexOf( "TEXT " ) != 0; }); };
+	var rnd = random( 1 );
+	STREAMS.forEach( function( name ){
+		var chunks = stream( name );
+		var expected = frames( play( chunks ).lines );
+		for( var i = 0; i< 50; i++ )
+		{
+			assert.deepEqual( frames( play( rechunk( chunks, rnd )).lines ), expected, name );
+		}
+	});
+};
+
+exports["random damage"] = function()
+{
+	// one bad byte anywhere: no exceptions, and after a pause
+	// a good frame always gets through.  swallowed frames can
+	// start new partial frames when they're dropped, so it may
+	// take more than one.
+
+	var rnd = random( 2 );
+	STREAMS.forEach( function( name ){
+		var chunks = stream( name );
+		for( var i = 0; i< 200; i++ )
+		{
+			var list = mutate( rechunk( chunks, rnd ), rnd );
+			var t = list[ list.length - 1 ].t;
+			var before = play( list ).lines.filter( function( line ){ return line == "DATA 42"; }).length;
+			var found = false;
+			for( var k = 1; k<= 8 && !found; k++ )
+			{
+				list.push({ t: t + k * 1000, data: [ 0xa2, 0x00, 0x2a ] });
+				found = ( play( list ).lines.filter( function( line ){ return line == "DATA 42"; }).length > before );
+			}
+			assert.ok( found, name + ": " + JSON.stringify( list.map( function( c ){ return c.data; })));
+		}
+	});
+};
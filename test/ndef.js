@@ -0,0 +1,265 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * NDEF parsing and round trips.  messages read from a tag
+ * should write back byte for byte, through getBytes and
+ * through JSON.
+ */
+
+var assert = require("assert"),
+	NDEF = require("../ndef.js"),
+	trace = require("../trace.js");
+
+/**
+ * bytes -> hex, for comparing
+ */
+function hex( bytes )
+{
+	var str = "";
+	for( var i = 0; i< bytes.length; i++ ) str += ( bytes[i] < 0x10 ? "0" : "" ) + bytes[i].toString( 16 );
+	return str;
+};
+
+/**
+ * a record with a type string and payload
+ */
+function record( header, type, payload )
+{
+	var bytes = [ header, type.length, payload.length ];
+	for( var i = 0; i< type.length; i++ ) bytes.push( type.charCodeAt( i ));
+	return bytes.concat( payload );
+};
+
+/**
+ * parse hex, check it writes back the same, directly and
+ * via (full) JSON.  returns the message.
+ */
+function roundtrip( str )
+{
+	var message = NDEF.Message.parse( trace.fromhex( str ));
+	assert.equal( hex( message.getBytes()), str );
+	assert.equal( hex( NDEF.Message.fromJSON( message.getJSON( true )).getBytes()), str );
+	return message;
+};
+
+exports["unreadable payload is kept as generic"] = function()
+{
+	// a Wi-Fi record with no credential, and a smart poster
+	// with an empty action record
+
+	var wsc = hex( record( 0xd2, "application/vnd.wfa.wsc", [ 0x00, 0x00 ]));
+	var message = roundtrip( wsc );
+	assert.equal( message.records[0].jsonType, "generic" );
+	assert.equal( message.records[0].TNF, 2 );
+	assert.equal( message.records[0].type, "application/vnd.wfa.wsc" );
+
+	var act = record( 0xd1, "act", []);
+	var sp = hex( record( 0xd1, "Sp", act ));
+	message = roundtrip( sp );
+	assert.equal( message.records.length, 1 );
+
+	// ID and long format are kept too
+	var bytes = record( 0xd2, "application/vnd.wfa.wsc", [ 0x00, 0x00 ]);
+	bytes.splice( 0, 3, 0xca, 23, 0x00, 0x00, 0x00, 0x02, 0x01 );
+	bytes.splice( 7 + 23, 0, 0x77 );
+	message = roundtrip( hex( bytes ));
+	assert.equal( message.records[0].id, "w" );
+	assert.ok( message.records[0].longFormat );
+};
+
+exports["nested messages round trip exactly"] = function()
+{
+	// nested records without MB/ME set; writing the nested 
+	// message again would set them
+
+	var sp = roundtrip( "d1020853701101045503616263" );
+	assert.equal( sp.records[0].getURI(), "http://abc" );
+	assert.equal( sp.records[0].validate().length, 0 );
+	assert.equal( hex( sp.getBytes()), "d1020853701101045503616263" );
+
+	var hs = roundtrip( "d1020a4873" + "12" + "110204616301013000" );
+	assert.equal( hs.records[0].getCarriers().length, 1 );
+
+	// until the nested records change
+	sp.records[0].setTitle( "abc", "en" );
+	assert.equal( hex( sp.getBytes()), "d102125370" + "9101045503616263" + "510106540265" + "6e616263" );
+	hs.records[0].version = 0x13;
+	assert.equal( hex( hs.getBytes()), "d1020a4873" + "13" + "d10204616301013000" );
+};
+
+exports["JSON is simple unless asked"] = function()
+{
+	var message = roundtrip( "d1010855016162632e636f6d" );
+	assert.deepEqual( JSON.parse( message.getJSON()), [{ type: "U", args: "http://www.abc.com" }]);
+
+	var full = JSON.parse( message.getJSON( true ));
+	assert.equal( full.format, "ndef" );
+	assert.equal( full.version, NDEF.Message.JSON_VERSION );
+	assert.deepEqual( full.records[0].value, { type: "U", args: "http://www.abc.com" });
+};
+
+exports["IDs and types are UTF-8"] = function()
+{
+	// ID "ä" is two bytes
+
+	var message = NDEF.Message.fromJSON([{ type: "U", args: "http://abc", id: "ä" }]);
+	assert.equal( hex( message.getBytes()), "d901040255c3a403616263" );
+	message = roundtrip( "d901040255c3a403616263" );
+	assert.equal( message.records[0].id, "ä" );
+
+	// external type "x.com:ü"
+	message = roundtrip( "d4080178" + "2e636f6d3ac3bc" + "01" );
+	assert.equal( message.records[0].type, "x.com:ü" );
+
+	// limits are in bytes
+	message.records[0].id = new Array( 201 ).join( "ä" );
+	var codes = message.validate().map( function( p ){ return p.code; });
+	assert.deepEqual( codes, [ NDEF.Message.PROBLEM.ID_TOO_LONG ]);
+};
+
+exports["chunked records"] = function()
+{
+	// a text record in two chunks, "\x02en" + "a", "bc"
+
+	var str = "b1010454" + "02656e61" + "560002" + "6263";
+	var message = roundtrip( str );
+	assert.equal( message.records.length, 1 );
+	assert.equal( message.records[0].text, "abc" );
+	assert.deepEqual( message.records[0].chunks.map( function( c ){ return c.length; }), [ 4, 2 ]);
+
+	// changed, it's written as one record
+	message.records[0].reset( "abcd" );
+	assert.equal( hex( message.getBytes()), "d101075402656e61626364" );
+};
+
+exports["validation problems"] = function()
+{
+	var PROBLEM = NDEF.Message.PROBLEM;
+	var codes = function( list ){ return list.map( function( p ){ return p.code + " " + p.record; }); };
+	var check = function( str ){ return codes( NDEF.Message.validateBytes( trace.fromhex( str ))); };
+	var uri = "55" + "03616263";
+	var zeros = function( n ){ var bytes = []; while( bytes.length < n ) bytes.push( 0 ); return bytes; };
+
+	assert.deepEqual( check( "d10104" + uri ), []);
+	assert.deepEqual( codes( new NDEF.Message().validate()), [ "EMPTY_MESSAGE -1" ]);
+	assert.deepEqual( check( "" ), [ "EMPTY_MESSAGE -1" ]);
+	assert.deepEqual( check( "d10109" + uri ), [ "INVALID_DATA 0" ]);
+
+	// flags, for each record
+	assert.deepEqual( check( "d10104" + uri + "d10104" + uri ), [ "BAD_FLAGS 0", "BAD_FLAGS 1" ]);
+	assert.deepEqual( check( "110104" + uri ), [ "BAD_FLAGS 0", "BAD_FLAGS 0" ]);
+	assert.deepEqual( check( "f1010154" + "02" ), [ "BAD_FLAGS 0" ]);
+	assert.deepEqual( check( "b1010254" + "0265" + "560001" + "6e" + "d10104" + uri ), [ "BAD_FLAGS 0", "BAD_FLAGS 1" ]);
+	assert.deepEqual( check( "b1010254" + "0265" + "160001" + "6e" + "510104" + uri ), []);
+
+	// record problems have the record index
+	var message = NDEF.Message.parse( trace.fromhex( "910104" + uri + "510104" + "55" + "40616263" ));
+	assert.deepEqual( codes( message.validate()), [ "INVALID_URI_PREFIX 1" ]);
+	message.records[0] = new NDEF.TextRecord( "hi", "en_US" );
+	assert.deepEqual( codes( message.validate()), [ "INVALID_LANGUAGE 0", "INVALID_URI_PREFIX 1" ]);
+
+	// long records are a warning
+	message = new NDEF.Message();
+	message.records.push( new NDEF.MimeRecord({ mimeType: "x/y", data: zeros( 256 ) }));
+	var list = message.validate();
+	assert.deepEqual( codes( list ), [ "OVER_SR_LIMIT 0" ]);
+	assert.equal( list[0].severity, "warning" );
+
+	// too long for the board, or a given capacity
+	message.records[0].bytes = zeros( 2048 );
+	list = message.validate({ target: "nvm" });
+	assert.deepEqual( codes( list ), [ "OVER_SR_LIMIT 0", "OVER_CAPACITY -1" ]);
+	assert.equal( list[1].target, "nvm" );
+	assert.equal( list[1].size, 2048 + 9 );
+	assert.equal( list[1].limit, 2048 );
+	assert.equal( message.validate().length, 3 );
+	message.records[0].bytes = [ 0 ];
+	assert.deepEqual( codes( message.validate({ capacity: { nfc: 6 }})), [ "OVER_CAPACITY -1" ]);
+
+	// types and IDs that can't be written; the size isn't checked
+	message.records[0].type = "x/" + new Array( 255 ).join( "y" );
+	message.records[0].id = new Array( 257 ).join( "z" );
+	assert.deepEqual( codes( message.validate({ capacity: { nfc: 6 }})), [ "TYPE_TOO_LONG 0", "ID_TOO_LONG 0" ]);
+};
+
+/**
+ * check an object against the parts of ndef-message.schema.json
+ * we use: required and known properties, consts, ranges and 
+ * patterns.  (not a general schema validator.)
+ */
+function schemacheck( obj, schema, root, where )
+{
+	root = root || schema;
+	where = where || "message";
+	if( schema.$ref ) schema = root.definitions[ schema.$ref.split( "/" ).pop() ];
+
+	if( schema.hasOwnProperty( "const" )) assert.strictEqual( obj, schema["const"], where );
+	if( schema.type == "integer" ) assert.ok( obj === Math.floor( obj ), where );
+	if( schema.type == "string" ) assert.equal( typeof( obj ), "string", where );
+	if( schema.type == "boolean" ) assert.equal( typeof( obj ), "boolean", where );
+	if( schema.hasOwnProperty( "minimum" )) assert.ok( obj >= schema.minimum, where );
+	if( schema.hasOwnProperty( "maximum" )) assert.ok( obj <= schema.maximum, where );
+	if( schema.pattern ) assert.ok( new RegExp( schema.pattern ).test( obj ), where );
+	if( schema.type == "array" ) 
+	{
+		assert.ok( Array.isArray( obj ), where );
+		if( schema.minItems ) assert.ok( obj.length >= schema.minItems, where );
+		obj.forEach( function( item, i ){ schemacheck( item, schema.items, root, where + "[" + i + "]" ); });
+	}
+	if( schema.type == "object" )
+	{
+		( schema.required || []).forEach( function( key ){ assert.ok( key in obj, where + " needs " + key ); });
+		if( schema.anyOf ) assert.ok( schema.anyOf.some( function( alt ){
+			return alt.required.every( function( key ){ return key in obj; });
+		}), where );
+		for( var key in obj )
+		{
+			if( schema.additionalProperties === false ) assert.ok( schema.properties.hasOwnProperty( key ), where + " has " + key );
+			if( schema.properties && schema.properties[key] ) schemacheck( obj[key], schema.properties[key], root, where + "." + key );
+		}
+	}
+};
+
+exports["full JSON follows the schema"] = function()
+{
+	var schema = require( "../ndef-message.schema.json" );
+
+	// short, long format, ID, chunked and generic records
+	var str = "910104" + "55" + "03616263" 
+		+ "0101" + "00000003" + "54" + "02656e" 
+		+ "19010401" + "55" + "30" + "03616263"
+		+ "32" + "0301" + "782f79" + "00"
+		+ "16" + "0002" + "0102"
+		+ "5102" + "00" + "7a7a";
+	var message = roundtrip( str );
+	message.meta = { name: "sample" };
+
+	var obj = message.toObject();
+	schemacheck( obj, schema );
+	assert.deepEqual( obj.meta, { name: "sample" });
+	assert.ok( obj.records[1].longFormat );
+	assert.equal( obj.records[2].id, "0" );
+	assert.deepEqual( obj.records[3].chunks.map( function( c ){ return c.length; }), [ 1, 2 ]);
+	assert.strictEqual( obj.records[4].value, undefined );
+
+	// and back, through a string
+	var copy = NDEF.Message.fromObject( JSON.parse( JSON.stringify( obj )));
+	assert.equal( hex( copy.getBytes()), str );
+	assert.deepEqual( copy.meta, { name: "sample" });
+
+	// records can be given as a value only
+	copy = NDEF.Message.fromObject({ format: "ndef", version: 1, records: [
+		{ value: { type: "U", args: "http://abc" }},
+		{ value: { type: "T", args: "hi" }, id: "t", longFormat: true }
+	]});
+	schemacheck( copy.toObject(), schema );
+	assert.equal( copy.records[0].URI, "http://abc" );
+	assert.equal( copy.records[1].id, "t" );
+	assert.ok( copy.records[1].longFormat );
+
+	// things we can't read
+	assert.throws( function(){ NDEF.Message.fromObject({ format: "x", version: 1, records: [] }); }, /Invalid JSON message/ );
+	assert.throws( function(){ NDEF.Message.fromObject({ format: "ndef", version: 2, records: [] }); }, /Unsupported JSON message version/ );
+	assert.throws( function(){ NDEF.Message.fromObject({ format: "ndef", version: 1, records: [{ tnf: 1 }] }); }, /Record 1 has no payload/ );
+};
@@ -0,0 +1,367 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * record types: each one built from JSON, written, parsed
+ * back and checked against known bytes.
+ */
+
+var assert = require("assert"),
+	NDEF = require("../ndef.js");
+
+/**
+ * bytes -> hex, for comparing
+ */
+function hex( bytes )
+{
+	var str = "";
+	for( var i = 0; i< bytes.length; i++ ) str += ( bytes[i] < 0x10 ? "0" : "" ) + bytes[i].toString( 16 );
+	return str;
+};
+
+/**
+ * ascii -> hex
+ */
+function ascii( str )
+{
+	var bytes = [];
+	for( var i = 0; i< str.length; i++ ) bytes.push( str.charCodeAt( i ));
+	return hex( bytes );
+};
+
+/**
+ * a message from simple JSON records.  checks it parses back
+ * to the same bytes and the same JSON; returns the parsed
+ * message.
+ */
+function build( records )
+{
+	var bytes = NDEF.Message.fromJSON( records ).getBytes();
+	var message = NDEF.Message.parse( bytes );
+	assert.equal( hex( message.getBytes()), hex( bytes ));
+	assert.deepEqual( JSON.parse( message.getJSON()), JSON.parse( NDEF.Message.fromJSON( records ).getJSON()));
+	return message;
+};
+
+exports["mime records"] = function()
+{
+	// text types are kept as text
+
+	var message = build([{ type: "mime", args: { mimeType: "application/json", text: "{\"a\":1}" }}]);
+	var record = message.records[0];
+	assert.ok( record instanceof NDEF.MimeRecord );
+	assert.equal( hex( message.getBytes()), "d21007" + ascii( "application/json" ) + ascii( "{\"a\":1}" ));
+	assert.equal( record.getText(), "{\"a\":1}" );
+	assert.deepEqual( record.getJSON().args, { mimeType: "application/json", text: "{\"a\":1}" });
+
+	// anything else as base64, from base64, bytes or a Buffer
+	var png = [ 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff ];
+	message = build([{ type: "mime", args: { mimeType: "image/png", base64: "iVBORw0KGgoA/w==" }}]);
+	assert.deepEqual( message.records[0].bytes, png );
+	assert.deepEqual( message.records[0].getJSON().args, { mimeType: "image/png", base64: "iVBORw0KGgoA/w==" });
+	assert.deepEqual( new NDEF.MimeRecord({ mimeType: "image/png", data: png }).bytes, png );
+	assert.deepEqual( new NDEF.MimeRecord({ mimeType: "image/png", data: Buffer.from( png ) }).bytes, png );
+
+	message = NDEF.Message.parse( Buffer.from( message.getBytes()));
+	assert.equal( message.records[0].type, "image/png" );
+	assert.deepEqual( message.records[0].bytes, png );
+
+	// a text type that isn't valid UTF-8 is stored as base64
+	record = new NDEF.MimeRecord([ 0xc3, 0x28 ], "text/plain" );
+	assert.strictEqual( record.getText(), null );
+	assert.deepEqual( record.getJSON().args, { mimeType: "text/plain", base64: "wyg=" });
+
+	// and an empty payload is fine
+	message = build([{ type: "mime", args: { mimeType: "application/octet-stream" }}]);
+	assert.equal( hex( message.getBytes()), "d21800" + ascii( "application/octet-stream" ));
+};
+
+exports["smart posters"] = function()
+{
+	var message = build([{ type: "Sp", args: { uri: "http://abc", action: "do" }}]);
+	assert.equal( hex( message.getBytes()), "d1020f5370" + "9101045503616263" + "510301616374" + "00" );
+
+	message = build([{ type: "Sp", args: { 
+		uri: "http://www.sftoolworks.com",
+		titles: { en: "tools", fr: "outils" },
+		action: "open",
+		size: 1234,
+		mimeType: "text/html",
+		records: [{ type: "android.com:pkg", args: "com.sftoolworks.nfc" }]
+	}}]);
+	var sp = message.records[0];
+	assert.ok( sp instanceof NDEF.SmartPosterRecord );
+	assert.deepEqual( sp.message.records.map( function( r ){ return r.type; }), 
+		[ "U", "T", "T", "act", "s", "t", "android.com:pkg" ]);
+	assert.equal( sp.getURI(), "http://www.sftoolworks.com" );
+	assert.equal( sp.getTitle( "fr" ), "outils" );
+	assert.equal( sp.getTitle(), "tools" );
+	assert.equal( sp.getAction(), NDEF.SmartPosterRecord.ACTION.OPEN );
+	assert.equal( sp.getSize(), 1234 );
+	assert.equal( sp.getType(), "text/html" );
+	assert.deepEqual( sp.getJSON().args.records, [{ type: "android.com:pkg", args: "com.sftoolworks.nfc" }]);
+	assert.equal( sp.validate().length, 0 );
+
+	// edits are written
+	sp.setTitle( null, "fr" );
+	sp.setAction( null );
+	sp.setURI( "tel:123" );
+	message = NDEF.Message.parse( message.getBytes());
+	sp = message.records[0];
+	assert.equal( sp.getTitle( "fr" ), null );
+	assert.equal( sp.getAction(), null );
+	assert.equal( sp.getURI(), "tel:123" );
+	assert.equal( sp.getJSON().args.titles.en, "tools" );
+
+	// a smart poster needs a URI
+	sp.setURI( null );
+	assert.deepEqual( sp.validate().map( function( p ){ return p.code; }), [ NDEF.Message.PROBLEM.INVALID_DATA ]);
+
+	assert.throws( function(){ new NDEF.SmartPosterRecord({ uri: "http://abc", action: "jump" }); }, /Invalid smart poster action/ );
+};
+
+exports["text records"] = function()
+{
+	// UTF-8, including characters outside the BMP
+
+	var message = build([{ type: "T", args: { text: "日本語 😀", lang: "ja" }}]);
+	assert.equal( hex( message.records[0].bytes ), "026a61" + "e697a5e69cace8aa9e" + "20" + "f09f9880" );
+	assert.equal( message.records[0].text, "日本語 😀" );
+
+	// UTF-16 is written big-endian, without a BOM
+	message = build([{ type: "T", args: { text: "hé😀", lang: "fr", encoding: "UTF-16" }}]);
+	assert.equal( hex( message.records[0].bytes ), "82" + "6672" + "006800e9" + "d83dde00" );
+	assert.deepEqual( message.records[0].getJSON().args, { text: "hé😀", lang: "fr", encoding: "utf-16" });
+
+	// and read with either BOM, and written back as it was
+	[ "d1010954" + "82656e" + "fffe" + "6800e900", "d1010954" + "82656e" + "feff" + "006800e9" ].forEach( function( bytes ){
+		var message = NDEF.Message.parse( Buffer.from( bytes, "hex" ));
+		assert.equal( message.records[0].text, "hé" );
+		assert.equal( message.records[0].encoding, "utf-16" );
+		assert.equal( hex( message.getBytes()), bytes );
+	});
+
+	// bytes that aren't UTF-8 are still shown, one per character
+	assert.equal( new NDEF.TextRecord([ 0x02, 0x65, 0x6e, 0x61, 0xe9 ]).text, "aé" );
+};
+
+exports["text language codes"] = function()
+{
+	var codes = function( record ){ return record.validate().map( function( p ){ return p.code; }); };
+	var INVALID = NDEF.Message.PROBLEM.INVALID_LANGUAGE;
+
+	assert.deepEqual( codes( new NDEF.TextRecord( "hi", "en-US" )), []);
+	assert.deepEqual( codes( new NDEF.TextRecord( "hi", "zh-Hant-TW" )), []);
+	assert.deepEqual( codes( new NDEF.TextRecord( "hi", "en_US" )), [ INVALID ]);
+	assert.deepEqual( codes( new NDEF.TextRecord( "hi", "" )), [ INVALID ]);
+	assert.deepEqual( codes( new NDEF.TextRecord( "hi", "en us" )), [ INVALID ]);
+
+	// the status byte only has room for 63
+	assert.throws( function(){ new NDEF.TextRecord( "hi", new Array( 65 ).join( "a" )); }, /too long/ );
+
+	// a language length past the end of the payload is cut short
+	var record = new NDEF.TextRecord([ 0x05, 0x65, 0x6e ]);
+	assert.equal( record.lang, "en" );
+	assert.equal( record.text, "" );
+};
+
+exports["wi-fi credentials"] = function()
+{
+	var message = build([{ type: "wifi", args: { ssid: "guest", key: "secret" }}]);
+	var record = message.records[0];
+	assert.ok( record instanceof NDEF.WifiCredentialRecord );
+	assert.equal( record.type, "application/vnd.wfa.wsc" );
+	assert.equal( hex( record.bytes ), "104a000110" 
+		+ "100e002e" + "1026000101" + "10450005" + ascii( "guest" ) + "100300020020" + "100f00020008"
+			+ "10270006" + ascii( "secret" ) + "10200006ffffffffffff"
+		+ "1049000600372a000120" );
+	assert.deepEqual( record.getJSON().args, 
+		{ ssid: "guest", key: "secret", auth: "WPA2-PSK", encryption: "AES", mac: "ff:ff:ff:ff:ff:ff" });
+
+	// open network; names, numbers and hex all work
+	record = build([{ type: "wifi", args: { ssid: "café" }}]).records[0];
+	assert.equal( record.auth, NDEF.WifiCredentialRecord.AUTH.OPEN );
+	assert.equal( record.encryption, NDEF.WifiCredentialRecord.ENCRYPTION.NONE );
+	assert.equal( record.ssid, "café" );
+	record = new NDEF.WifiCredentialRecord({ ssid: "x", key: "y", auth: "wpa/wpa2-psk", encryption: "0x000c", mac: "01-02-03-0a-0b-0c" });
+	assert.equal( record.auth, 0x22 );
+	assert.equal( record.encryption, 0x0c );
+	assert.equal( new NDEF.WifiCredentialRecord( record.bytes ).mac, "01:02:03:0a:0b:0c" );
+
+	assert.throws( function(){ new NDEF.WifiCredentialRecord({ ssid: "x", auth: "WPA3" }); }, /Invalid Wi-Fi auth type/ );
+	assert.throws( function(){ new NDEF.WifiCredentialRecord({ ssid: "x", mac: "01:02" }); }, /Invalid MAC address/ );
+
+	// attributes in any order, unknown ones skipped, unknown types shown in hex
+	record = new NDEF.WifiCredentialRecord([ 0x10, 0x4a, 0x00, 0x01, 0x10, 
+		0x10, 0x0e, 0x00, 0x12, 0x12, 0x34, 0x00, 0x01, 0xaa, 0x10, 0x03, 0x00, 0x02, 0x00, 0x40, 
+			0x10, 0x45, 0x00, 0x03, 0x61, 0x62, 0x63 ]);
+	assert.equal( record.ssid, "abc" );
+	assert.equal( record.getJSON().args.auth, "0x40" );
+};
+
+exports["bluetooth handover"] = function()
+{
+	var speaker = new NDEF.BluetoothOOBRecord({ address: "00:11:22:33:44:55", name: "Spk", deviceClass: 0x240404 });
+	var message = NDEF.HandoverSelectRecord.createMessage([ speaker ]);
+	assert.equal( hex( message.getBytes()), 
+		"91020a4873" + "12" + "d10204616301013000" 
+		+ "5a201201" + ascii( "application/vnd.bluetooth.ep.oob" ) + "30" 
+			+ "1200" + "554433221100" + "040953706b" + "040d040424" );
+
+	// the ac record points at the carrier by ID
+	message = NDEF.Message.parse( message.getBytes());
+	var select = message.records[0];
+	assert.ok( select instanceof NDEF.HandoverSelectRecord );
+	assert.equal( select.getVersion(), "1.2" );
+	assert.equal( select.getCarriers().length, 1 );
+	assert.equal( select.getCarriers()[0].ref, message.records[1].id );
+	assert.deepEqual( message.records[1].getJSON().args, { address: "00:11:22:33:44:55", name: "Spk", deviceClass: 0x240404 });
+
+	// and the same from JSON
+	build( JSON.parse( message.getJSON()));
+	assert.deepEqual( JSON.parse( message.getJSON())[0].args, { version: "1.2", carriers: [{ cps: "active", ref: "0" }]});
+
+	// carrier power states and auxiliary data
+	var ac = new NDEF.AlternativeCarrierRecord({ cps: "activating", ref: "bt", aux: [ "a", "b" ]});
+	assert.equal( hex( ac.bytes ), "02" + "026274" + "02" + "0161" + "0162" );
+	assert.deepEqual( new NDEF.AlternativeCarrierRecord( ac.bytes ).getJSON().args, { cps: "activating", ref: "bt", aux: [ "a", "b" ]});
+	assert.throws( function(){ new NDEF.AlternativeCarrierRecord({ cps: "asleep" }); }, /Invalid carrier power state/ );
+};
+
+exports["bluetooth LE"] = function()
+{
+	var message = build([{ type: "bluetoothLE", args: { address: "00:11:22:33:44:55", addressType: "random", 
+		role: "central-preferred", name: "LE" }}]);
+	var record = message.records[0];
+	assert.equal( record.type, "application/vnd.bluetooth.le.oob" );
+	assert.equal( hex( record.bytes ), "081b55443322110001" + "021c03" + "03094c45" );
+	assert.equal( record.getRoleName(), "central-preferred" );
+	assert.throws( function(){ new NDEF.BluetoothLEOOBRecord({ role: "observer" }); }, /Invalid LE role/ );
+	assert.throws( function(){ new NDEF.BluetoothOOBRecord({ address: "00:11" }); }, /Invalid Bluetooth address/ );
+
+	// fields we don't decode are kept, and a short name is used if there's no name
+	var bytes = [ 0x0f, 0x00, 0x55, 0x44, 0x33, 0x22, 0x11, 0x00, 0x03, 0x03, 0x0b, 0x11, 0x02, 0x08, 0x53 ];
+	record = new NDEF.BluetoothOOBRecord( bytes );
+	assert.equal( record.name, "S" );
+	assert.deepEqual( record.getJSON().args.other, [{ type: 3, base64: "CxE=" }]);
+	assert.equal( hex( new NDEF.BluetoothOOBRecord( record.getJSON().args ).bytes ), 
+		"0f00554433221100" + "020953" + "03030b11" );
+};
+
+exports["contact records"] = function()
+{
+	var args = {
+		version: "3.0",
+		name: "Jane Smith",
+		org: "SF Toolworks; Tools, Inc.",
+		title: "Engineer",
+		phones: [ "+1 555 0100", { type: "work", number: "+1 555 0101" }],
+		emails: [{ type: "home", address: "jane@example.com" }],
+		url: "http://example.com",
+		address: { type: "work", street: "1 Main St", city: "Springfield", region: "IL", postalCode: "62701", country: "USA" }
+	};
+	var message = build([{ type: "contact", args: args }]);
+	var record = message.records[0];
+	assert.ok( record instanceof NDEF.ContactRecord );
+	assert.equal( record.type, "text/vcard" );
+	assert.equal( record.build(), [
+		"BEGIN:VCARD",
+		"VERSION:3.0",
+		"FN:Jane Smith",
+		"N:Smith;Jane;;;",
+		"ORG:SF Toolworks\\; Tools\\, Inc.",
+		"TITLE:Engineer",
+		"TEL:+1 555 0100",
+		"TEL;TYPE=work:+1 555 0101",
+		"EMAIL;TYPE=home:jane@example.com",
+		"URL:http://example.com",
+		"ADR;TYPE=work:;;1 Main St;Springfield;IL;62701;USA",
+		"END:VCARD", "" ].join( "\r\n" ));
+
+	// parsed back into the same fields (the name is split)
+	var json = record.getJSON().args;
+	assert.equal( json.givenName, "Jane" );
+	assert.equal( json.familyName, "Smith" );
+	assert.equal( json.org, args.org );
+	assert.deepEqual( json.phones, [{ number: "+1 555 0100" }, { type: "work", number: "+1 555 0101" }]);
+	assert.deepEqual( json.address, args.address );
+
+	// long lines are folded, and unfolded when read
+	var note = "NOTE:" + new Array( 101 ).join( "x" );
+	record = new NDEF.ContactRecord({ version: "4.0", name: "Al", other: [ note ] });
+	assert.ok( /\r\nNOTE:x{70}\r\n x{30}\r\n/.test( record.build()));
+	record = NDEF.Message.parse( NDEF.Message.fromJSON([ record.getJSON() ]).getBytes()).records[0];
+	assert.equal( record.version, "4.0" );
+	assert.deepEqual( record.other, [ note ]);
+};
+
+exports["contact records from phones"] = function()
+{
+	// vCard 2.1, bare type parameters, groups and the old MIME type
+
+	var card = "BEGIN:VCARD\nVERSION:2.1\nN:Smith;Jane\nTEL;CELL;VOICE:555-0100\n"
+		+ "item1.EMAIL;INTERNET:jane@example.com\nX-CUSTOM;CHARSET=UTF-8:kept\nEND:VCARD\n";
+	var bytes = NDEF.Message.fromJSON([{ type: "mime", args: { mimeType: "text/x-vcard", text: card }}]).getBytes();
+	var message = NDEF.Message.parse( bytes );
+	var record = message.records[0];
+	assert.ok( record instanceof NDEF.ContactRecord );
+	assert.equal( record.type, "text/x-vcard" );
+	assert.equal( record.version, "2.1" );
+	assert.equal( record.name, "Jane Smith" );
+	assert.deepEqual( record.phones, [{ type: "cell,voice", number: "555-0100" }]);
+	assert.deepEqual( record.emails, [{ type: "internet", address: "jane@example.com" }]);
+	assert.deepEqual( record.other, [ "X-CUSTOM;CHARSET=UTF-8:kept" ]);
+
+	// written as it was read; rebuilt as 3.0, with the same type
+	assert.equal( hex( message.getBytes()), hex( bytes ));
+	var rebuilt = NDEF.Record.fromJSON( record.getJSON());
+	assert.equal( rebuilt.type, "text/x-vcard" );
+	assert.ok( /^BEGIN:VCARD\r\nVERSION:3\.0\r\n/.test( rebuilt.build()));
+	assert.ok( /\r\nX-CUSTOM;CHARSET=UTF-8:kept\r\n/.test( rebuilt.build()));
+};
+
+exports["external types"] = function()
+{
+	// a codec for a two byte point; anything else is invalid
+
+	NDEF.Record.registerExternal( "example.com:point", {
+		encode: function( value ){ return [ value.x, value.y ]; },
+		decode: function( bytes ){
+			if( bytes.length != 2 ) throw( "not a point" );
+			return { x: bytes[0], y: bytes[1] };
+		}
+	});
+	var message = build([{ type: "example.com:point", args: { x: 1, y: 2 }}]);
+	var record = message.records[0];
+	assert.ok( record instanceof NDEF.ExternalTypeRecord );
+	assert.equal( hex( message.getBytes()), "d41102" + ascii( "example.com:point" ) + "0102" );
+	assert.deepEqual( record.getValue(), { x: 1, y: 2 });
+	assert.deepEqual( record.getJSON(), { type: "example.com:point", args: { x: 1, y: 2 }});
+
+	// names are case insensitive on the tag
+	record = NDEF.Message.parse([ 0xd4, 0x11, 0x02 ].concat( Array.prototype.slice.call( Buffer.from( "Example.COM:point" )), [ 3, 4 ])).records[0];
+	assert.deepEqual( record.getValue(), { x: 3, y: 4 });
+	assert.deepEqual( build([ record.getJSON() ]).records[0].getValue(), { x: 3, y: 4 });
+
+	// a payload the codec can't read is kept as binary
+	record = new NDEF.ExternalTypeRecord([ 1, 2, 3 ], "example.com:point" );
+	assert.strictEqual( record.getValue(), undefined );
+	assert.deepEqual( record.getJSON(), { type: "external", args: { type: "example.com:point", base64: "AQID" }});
+	build([ record.getJSON() ]);
+
+	// and so is a type with no codec
+	message = build([{ type: "external", args: { type: "example.com:other", text: "hi" }}]);
+	assert.equal( message.records[0].getJSON().args.base64, "aGk=" );
+	assert.throws( function(){ message.records[0].setValue( "x" ); }, /No codec registered/ );
+	assert.throws( function(){ new NDEF.ExternalTypeRecord({ type: "nocolon", text: "x" }); }, /Invalid external type name/ );
+
+	// the built-in codecs
+	NDEF.Record.registerExternal( "example.com:json", NDEF.ExternalTypeRecord.JSON_CODEC );
+	NDEF.Record.registerExternal( "example.com:text", NDEF.ExternalTypeRecord.TEXT_CODEC );
+	message = build([{ type: "example.com:json", args: { a: [ 1, "é" ]}}, { type: "example.com:text", args: "é" }]);
+	assert.deepEqual( message.records[0].bytes, Array.prototype.slice.call( Buffer.from( "{\"a\":[1,\"é\"]}" )));
+	assert.deepEqual( message.records[1].bytes, [ 0xc3, 0xa9 ]);
+
+	// android application records are still their own type
+	assert.ok( build([{ type: "android.com:pkg", args: "com.example" }]).records[0] instanceof NDEF.AndroidApplicationRecord );
+};
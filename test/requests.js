@@ -0,0 +1,252 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * request queue: responses only complete the request they
+ * answer; anything else is passed on as unsolicited.
+ */
+
+var assert = require("assert"),
+	comms = require("../comms.js");
+
+var COMMAND = comms.COMMAND,
+	EVENT_TYPE = comms.EVENT_TYPE;
+
+/**
+ * a connection with a fake port.  when a command is written,
+ * reply( command ) gives the bytes the "board" sends back
+ * (or null for none).  events are collected in .log.
+ */
+function board( reply )
+{
+	var connection = new comms.Connection();
+	connection.log = [];
+	connection.port = {
+		write: function( bytes ){
+			var command = bytes[2];
+			var response = reply( command );
+			if( response ) process.nextTick( function(){ connection.processdata( response ); });
+		}
+	};
+	connection.events.on( "comms-event", function( evt ){ connection.log.push( evt ); });
+	return connection;
+};
+
+exports["late reply is unsolicited"] = function( done )
+{
+	// the VERSION reply from an earlier (timed out) request
+	// arrives first; it mustn't be taken as the length
+
+	var connection = board( function( command ){
+		return [ 0xa0, 0x01, 0x00, 0xa2, 0x00, 0x07 ];
+	});
+	connection.request( COMMAND.GET_NFC_MESSAGE_LENGTH, function( err, evt ){
+		assert.ifError( err );
+		assert.equal( evt.type, EVENT_TYPE.DATA );
+		assert.equal( evt.value, 7 );
+		assert.equal( evt.command, COMMAND.GET_NFC_MESSAGE_LENGTH );
+
+		var version = connection.log[0];
+		assert.equal( version.type, EVENT_TYPE.VERSION );
+		assert.equal( version.value, 0x100 );
+		assert.strictEqual( version.command, undefined );
+		done();
+	});
+};
+
+exports["message sent on write is unsolicited"] = function( done )
+{
+	var connection = board( function( command ){
+		if( command == COMMAND.AUTO_RF_ENABLE_ON ) return [ 0xa4, 0x04, 0xa5, 0x00, 0x03, 0xd0, 0x00, 0x00, 0xa1, 0x34 ];
+		return [ 0xa2, 0x00, 0x03 ];
+	});
+	connection.request( COMMAND.AUTO_RF_ENABLE_ON, function( err, evt ){
+		assert.ifError( err );
+		assert.equal( evt.type, EVENT_TYPE.ACK );
+		assert.equal( evt.command, COMMAND.AUTO_RF_ENABLE_ON );
+
+		var types = connection.log.map( function( e ){ return e.type; });
+		assert.deepEqual( types, [ EVENT_TYPE.INTERRUPT, EVENT_TYPE.NDEF_MESSAGE, EVENT_TYPE.ACK ]);
+		assert.strictEqual( connection.log[1].command, undefined );
+	});
+
+	// and the next request gets its own response
+	connection.request( COMMAND.GET_NVM_MESSAGE_LENGTH, function( err, evt ){
+		assert.ifError( err );
+		assert.equal( evt.value, 3 );
+		done();
+	});
+};
+
+exports["ack must match the command"] = function( done )
+{
+	var connection = board( function( command ){
+		return [ 0xa1, 0x35, 0xa1, command ];
+	});
+	connection.request( COMMAND.READONLY, function( err, evt ){
+		assert.ifError( err );
+		assert.equal( evt.data, COMMAND.READONLY );
+		assert.equal( connection.log.length, 2 );
+		assert.strictEqual( connection.log[0].command, undefined );
+		done();
+	});
+};
+
+exports["responses answer only their commands"] = function( done )
+{
+	// DATA can't answer GET_NFC_MESSAGE, and a MESSAGE can't
+	// answer GET_USER_PREFS
+
+	var connection = board( function( command ){
+		if( command == COMMAND.GET_NFC_MESSAGE ) return [ 0xa2, 0x00, 0x01, 0xa5, 0x00, 0x00 ];
+		return [ 0xa5, 0x00, 0x00, 0xa2, 0x00, 0x05 ];
+	});
+	connection.request( COMMAND.GET_NFC_MESSAGE, function( err, evt ){
+		assert.ifError( err );
+		assert.equal( evt.type, EVENT_TYPE.NDEF_MESSAGE );
+	});
+	connection.request( COMMAND.GET_USER_PREFS, function( err, evt ){
+		assert.ifError( err );
+		assert.equal( evt.type, EVENT_TYPE.DATA );
+		assert.equal( evt.value, 5 );
+		done();
+	});
+};
+
+exports["exception in a callback is not a parse error"] = function( done )
+{
+	// the first callback throws; that goes back to whoever
+	// passed in the data, and the next request still gets
+	// its own response
+
+	var connection = new comms.Connection();
+	var errors = [];
+	var thrown = [];
+	connection.port = {
+		write: function( bytes ){
+			var response = ( bytes[2] == COMMAND.GET_NFC_MESSAGE ) 
+				? [ 0xa5, 0x00, 0x03, 0xd0, 0x00, 0x00 ] : [ 0xa2, 0x00, 0x03 ];
+			process.nextTick( function(){
+				try { connection.processdata( response ); }
+				catch( ex ){ thrown.push( ex ); }
+			});
+		}
+	};
+	connection.events.on( "comms-event", function( evt ){
+		if( evt.type == EVENT_TYPE.ERROR ) errors.push( evt );
+	});
+
+	var calls = 0;
+	connection.request( COMMAND.GET_NFC_MESSAGE, function( err, evt ){
+		calls++;
+		throw( new Error( "callback" ));
+	});
+	connection.request( COMMAND.GET_NFC_MESSAGE_LENGTH, function( err, evt ){
+		assert.ifError( err );
+		assert.equal( evt.value, 3 );
+		assert.equal( calls, 1 );
+		assert.equal( thrown.length, 1 );
+		assert.equal( thrown[0].message, "callback" );
+		assert.equal( errors.length, 0 );
+		done();
+	});
+};
+
+exports["error completes the request"] = function( done )
+{
+	var connection = board( function( command ){
+		return [ 0xef, 0x01 ];
+	});
+	connection.request( COMMAND.BLINK, function( err, evt ){
+		assert.ok( err instanceof comms.BoardError );
+		assert.equal( err.code, 1 );
+		assert.equal( err.codeName, "UNKNOWN_COMMAND" );
+		assert.equal( err.message, "Board error 0x01 (UNKNOWN_COMMAND): The board doesn't know this command" );
+		assert.equal( err.command, COMMAND.BLINK );
+		assert.equal( evt.command, COMMAND.BLINK );
+		done();
+	});
+};
+
+exports["board error codes are decoded"] = function()
+{
+	var err = new comms.BoardError( comms.ERROR_CODE.MESSAGE_TOO_LONG, COMMAND.SET_NFC_MESSAGE );
+	assert.equal( err.code, 3 );
+	assert.equal( err.codeName, "MESSAGE_TOO_LONG" );
+	assert.equal( err.description, "Message is too long for the board" );
+	assert.equal( err.message, "Board error 0x03 (MESSAGE_TOO_LONG): Message is too long for the board" );
+
+	// codes we don't know are passed on as they are
+	err = new comms.BoardError( 0x7f );
+	assert.equal( err.code, 0x7f );
+	assert.equal( err.codeName, "UNKNOWN" );
+	assert.equal( err.description, "Unknown error code" );
+	assert.equal( err.message, "Board error 0x7f (UNKNOWN): Unknown error code" );
+};
+
+exports["unanswered request times out"] = function( done )
+{
+	var connection = board( function( command ){
+		return [ 0xa0, 0x01, 0x00 ];
+	});
+	connection.request( COMMAND.GET_RAM_MESSAGE_LENGTH, { timeout: 30 }, function( err, evt ){
+		assert.ok( err instanceof comms.TimeoutError );
+		assert.equal( connection.log[0].type, EVENT_TYPE.VERSION );
+		done();
+	});
+};
+
+/**
+ * a board with user prefs, for config: answers GET_USER_PREFS
+ * and acks (and applies) the pref commands.  commands sent are
+ * in .sent.
+ */
+function prefsboard( prefs )
+{
+	var connection = board( function( command ){
+		connection.sent.push( command );
+		if( command == COMMAND.GET_USER_PREFS ) return [ 0xa2, 0x00, prefs ];
+		for( var key in comms.PREF_COMMANDS )
+		{
+			var index = comms.PREF_COMMANDS[key].indexOf( command );
+			if( index == 0 ) prefs &= ~comms.PREF_BITS[key];
+			else if( index == 1 ) prefs |= comms.PREF_BITS[key];
+		}
+		return [ 0xa1, command ];
+	});
+	connection.sent = [];
+	return connection;
+};
+
+exports["config is decoded"] = function( done )
+{
+	var connection = prefsboard( 0x05 );
+	connection.getConfig( function( err, config ){
+		assert.ifError( err );
+		assert.deepEqual( config, { readOnly: true, autoReload: false, autoRfEnable: true, txOnWrite: false });
+		done();
+	});
+};
+
+exports["config sends only changes"] = function( done )
+{
+	var connection = prefsboard( 0x04 );
+	connection.setConfig({ readOnly: true, autoRfEnable: true, txOnWrite: false }, function( err, result ){
+		assert.ifError( err );
+		assert.deepEqual( result.changed, [ "readOnly" ]);
+		assert.deepEqual( result.config, { readOnly: true, autoReload: false, autoRfEnable: true, txOnWrite: false });
+		assert.deepEqual( connection.sent, [ COMMAND.GET_USER_PREFS, COMMAND.READONLY, COMMAND.GET_USER_PREFS ]);
+		done();
+	});
+};
+
+exports["unchanged config sends nothing"] = function( done )
+{
+	var connection = prefsboard( 0x04 );
+	connection.setConfig({ readOnly: false, autoRfEnable: true }, function( err, result ){
+		assert.ifError( err );
+		assert.deepEqual( result.changed, []);
+		assert.deepEqual( connection.sent, [ COMMAND.GET_USER_PREFS ]);
+		done();
+	});
+};
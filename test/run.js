@@ -0,0 +1,93 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * test runner.  every other .js file in this directory exports
+ * tests by name; a test that takes an argument is async, and
+ * calls it (with any error) when it's done.  a test fails if
+ * it throws.
+ *
+ * npm test
+ * node test/run.js [file...]
+ */
+
+var fs = require("fs"),
+	path = require("path");
+
+/** longest an async test can take, ms */
+var TEST_TIMEOUT = 5000;
+
+var files = process.argv.slice( 2 );
+if( !files.length )
+{
+	files = fs.readdirSync( __dirname ).filter( function( name ){
+		return ( /\.js$/.test( name ) && name != "run.js" );
+	}).sort();
+}
+
+var tests = [];
+files.forEach( function( file ){
+	var module = require( path.resolve( __dirname, path.basename( file )));
+	for( var name in module ) tests.push({ name: path.basename( file, ".js" ) + ": " + name, fn: module[name] });
+});
+
+var failed = 0;
+var index = 0;
+var current = null;
+
+// an assert in a callback fails the test that's running
+process.on( "uncaughtException", function( ex ){
+	if( null == current ) throw( ex );
+	current( ex );
+});
+
+/**
+ * run the next test, or report if that was the last
+ */
+function next()
+{
+	if( index >= tests.length )
+	{
+		console.log(( tests.length - failed ) + "/" + tests.length + " passed" );
+		process.exit( failed ? 1 : 0 );
+	}
+	var test = tests[index++];
+	var done = false;
+	var timer = null;
+
+	var finish = function( err ){
+		if( done ) return;
+		done = true;
+		current = null;
+		clearTimeout( timer );
+		if( err )
+		{
+			failed++;
+			console.log( "not ok - " + test.name );
+			console.log( "  " + ( err.stack || err ).toString().replace( /\n/g, "\n  " ));
+		}
+		else console.log( "ok - " + test.name );
+		setImmediate( next );
+	};
+
+	current = finish;
+	try
+	{
+		if( test.fn.length == 0 )
+		{
+			test.fn();
+			finish();
+		}
+		else
+		{
+			timer = setTimeout( function(){ finish( "Timed out after " + TEST_TIMEOUT + "ms" ); }, TEST_TIMEOUT );
+			test.fn( function( err ){ finish( err ); });
+		}
+	}
+	catch( ex )
+	{
+		finish( ex );
+	}
+};
+
+next();
@@ -0,0 +1,492 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * the simulator, through a real connection: framing, message
+ * slots, errors, tag taps and config; serving it over TCP;
+ * and the example clients (and batch provisioning) run 
+ * against it.
+ */
+
+var assert = require("assert"),
+	fs = require("fs"),
+	os = require("os"),
+	path = require("path"),
+	net = require("net"),
+	child_process = require("child_process"),
+	comms = require("../comms.js"),
+	NDEF = require("../ndef.js"),
+	simulator = require("../simulator.js");
+
+var COMMAND = comms.COMMAND,
+	EVENT_TYPE = comms.EVENT_TYPE;
+
+/** the repo, where the clients expect to run */
+var ROOT = path.join( __dirname, ".." );
+
+/**
+ * a connection to a new simulator; calls back with
+ * ( connection, sim ) once it's connected.  events
+ * without a command are collected in connection.log.
+ */
+function simulated( callback )
+{
+	var connection = new comms.Connection();
+	var sim = new simulator.Simulator();
+	connection.log = [];
+	connection.events.on( "comms-event", function( evt ){
+		if( evt.type == EVENT_TYPE.CONNECT_EVENT )
+		{
+			if( evt.message == "Connected" ) callback( connection, sim );
+		}
+		else if( typeof( evt.command ) == "undefined" ) connection.log.push( evt );
+	});
+	connection.connect( sim );
+};
+
+/**
+ * a text message
+ */
+function text( str )
+{
+	var message = new NDEF.Message();
+	message.records.push( new NDEF.TextRecord( str, "en" ));
+	return message;
+};
+
+/**
+ * count bytes, mostly ones that need escaping
+ */
+function pattern( count )
+{
+	var bytes = [];
+	for( var i = 0; i< count; i++ ) bytes.push(( i % 3 ) ? 0x4a : 0xe5 );
+	return bytes;
+};
+
+exports["escaped bytes are unescaped"] = function( done )
+{
+	// 0x4a in the data (and in the length, for 74 bytes) is
+	// sent as 0xe5 0x4a; 0xe5 on its own is data
+
+	simulated( function( connection, sim ){
+		var bytes = pattern( 0x4a );
+		connection.writeMessage( bytes, { verify: true }, function( err, result ){
+			assert.ifError( err );
+			assert.ok( result.verified );
+			assert.deepEqual( sim.nfc, bytes );
+
+			// a frame split anywhere, with a partial header before it
+			sim.nfc = [];
+			var frame = [ 0x4a, 0x4a, 0xe5, COMMAND.SET_NFC_MESSAGE, 0x00, 0x02, 0xe5, 0xe5, 0x4a ];
+			frame.forEach( function( b ){ sim.write([ b ]); });
+			assert.deepEqual( sim.nfc, [ 0xe5, 0x4a ]);
+			connection.disconnect();
+			done();
+		});
+	});
+};
+
+exports["messages round trip"] = function( done )
+{
+	simulated( function( connection, sim ){
+		var message = text( "hello" );
+		var bytes = message.getBytes();
+		connection.writeMessage( message, { nvm: true, verify: true }, function( err, result ){
+			assert.ifError( err );
+			assert.ok( result.verified );
+			assert.deepEqual( sim.nvm, bytes );
+			assert.deepEqual( sim.ram, bytes );
+
+			// RESET_MESSAGE copies nvm to nfc
+			connection.compareSlots( "nvm", "nfc", function( err, result ){
+				assert.ifError( err );
+				assert.ok( result.same );
+
+				connection.writeMessage( text( "bye" ), { verify: true }, function( err ){
+					assert.ifError( err );
+					connection.readMessage( "nfc", function( err, read ){
+						assert.ifError( err );
+						assert.equal( read.records[0].text, "bye" );
+						connection.readLength( "nvm", function( err, length ){
+							assert.ifError( err );
+							assert.equal( length, bytes.length );
+							connection.disconnect();
+							done();
+						});
+					});
+				});
+			});
+		});
+	});
+};
+
+exports["board errors"] = function( done )
+{
+	simulated( function( connection, sim ){
+		sim.nfc = [ 0xd0, 0x00, 0x00 ];
+		connection.writeMessage( pattern( 2049 ), function( err ){
+			assert.ok( err instanceof comms.BoardError );
+			assert.equal( err.codeName, "MESSAGE_TOO_LONG" );
+			assert.equal( err.command, COMMAND.SET_NFC_MESSAGE );
+			assert.deepEqual( sim.nfc, [ 0xd0, 0x00, 0x00 ]);
+
+			// and the largest message is fine
+			connection.writeMessage( pattern( 2048 ), { verify: true }, function( err ){
+				assert.ifError( err );
+
+				connection.request([ 0x7e ], function( err ){
+					assert.ok( err instanceof comms.BoardError );
+					assert.equal( err.codeName, "UNKNOWN_COMMAND" );
+					connection.disconnect();
+					done();
+				});
+			});
+		});
+	});
+};
+
+exports["tag taps interrupt"] = function( done )
+{
+	simulated( function( connection, sim ){
+		sim.nfc = text( "tag" ).getBytes();
+		assert.deepEqual( sim.tagRead(), sim.nfc );
+		assert.ok( sim.tagWrite( text( "phone" )));
+
+		// read only, and RF off
+		connection.setConfig({ readOnly: true }, function( err, result ){
+			assert.ifError( err );
+			assert.ok( result.config.readOnly );
+			assert.ok( !sim.tagWrite( text( "nope" )));
+
+			connection.request([ COMMAND.RF_DISABLE ], function( err ){
+				assert.ifError( err );
+				assert.strictEqual( sim.tagRead(), null );
+
+				var interrupts = connection.log.map( function( evt ){
+					assert.equal( evt.type, EVENT_TYPE.INTERRUPT );
+					return evt.data;
+				});
+				assert.deepEqual( interrupts, [ 0x02, 0x04 ]);
+				connection.readMessage( "nfc", function( err, message ){
+					assert.ifError( err );
+					assert.equal( message.records[0].text, "phone" );
+					connection.disconnect();
+					done();
+				});
+			});
+		});
+	});
+};
+
+exports["message sent on write"] = function( done )
+{
+	simulated( function( connection, sim ){
+		connection.setConfig({ txOnWrite: true, autoReload: true }, function( err, result ){
+			assert.ifError( err );
+			assert.deepEqual( result.changed, [ "txOnWrite", "autoReload" ]);
+			sim.nvm = text( "stored" ).getBytes();
+
+			connection.events.once( "comms-event", function( evt ){
+				assert.equal( evt.type, EVENT_TYPE.INTERRUPT );
+				connection.events.once( "comms-event", function( evt ){
+					assert.equal( evt.type, EVENT_TYPE.NDEF_MESSAGE );
+					assert.strictEqual( evt.command, undefined );
+					assert.equal( evt.data.records[0].text, "written" );
+
+					// and auto reload put the stored message back
+					assert.deepEqual( sim.nfc, sim.nvm );
+					connection.disconnect();
+					done();
+				});
+			});
+			assert.ok( sim.tagWrite( text( "written" )));
+		});
+	});
+};
+
+exports["served over TCP"] = function( done )
+{
+	// state is kept across clients, and a client that resets
+	// its connection doesn't stop the server
+
+	var server = simulator.listen( 0, function(){
+		var name = "tcp://localhost:" + server.address().port;
+		var first = new comms.Connection();
+		first.connect( name );
+		first.writeMessage( text( "kept" ), { verify: true }, function( err ){
+			assert.ifError( err );
+			first.disconnect();
+
+			var socket = net.connect( server.address().port, "localhost", function(){
+				socket.resetAndDestroy();
+				setTimeout( function(){
+					var second = new comms.Connection();
+					second.connect( name );
+					second.readMessage( "nfc", function( err, message ){
+						assert.ifError( err );
+						assert.equal( message.records[0].text, "kept" );
+						second.disconnect();
+						server.close( function(){ done(); });
+					});
+				}, 50 );
+			});
+			socket.on( "error", function(){});
+		});
+	});
+};
+
+exports["example clients"] = function( done )
+{
+	// send and verify the options message, then read the
+	// config over TCP
+
+	var run = function( args, callback ){
+		child_process.execFile( process.execPath, args, { cwd: ROOT, timeout: 4000 }, function( err, stdout ){
+			assert.ifError( err );
+			callback( stdout );
+		});
+	};
+	run([ "nfc-client-options.js", "-s", "-w" ], function( stdout ){
+		assert.ok( /Message verified/.test( stdout ), stdout );
+
+		var server = simulator.listen( 0, function(){
+			run([ "nfc-client.js", "-p", "tcp://localhost:" + server.address().port, "--get-config" ], function( stdout ){
+				assert.ok( /autoRfEnable: true/.test( stdout ), stdout );
+				server.close( function(){ done(); });
+			});
+		});
+	});
+};
+
+exports["provisioning resumes from the log"] = function( done )
+{
+	// row 1 was done, row 2 failed and the run was stopped while
+	// writing the log; rows 2 and 3 are provisioned, numbered as
+	// they would have been.  the "phone" taps each tag when the
+	// client is waiting for it.
+
+	var dir = fs.mkdtempSync( path.join( os.tmpdir(), "nfc-provision-" ));
+	var file = function( name, text ){
+		var p = path.join( dir, name );
+		if( null != text ) fs.writeFileSync( p, text );
+		return p;
+	};
+	var tmpl = file( "template.json", JSON.stringify([{ type: "T", args: "{{serial:3}} {{name}}" }]));
+	var data = file( "data.csv", "name\na\nb\nc\n" );
+	var log = file( "data.csv.log", 
+		"{\"row\":0,\"serial\":1,\"status\":\"ok\"}\n"
+		+ "{\"row\":1,\"serial\":2,\"status\":\"failed\",\"error\":\"Disconnected\"}\n"
+		+ "{\"row\":2,\"ser" );
+
+	var entries = function(){
+		return fs.readFileSync( log, "utf8" ).split( "\n" ).slice( 3 ).filter( function( line ){ 
+			return line.length; 
+		}).map( function( line ){ 
+			var entry = JSON.parse( line );
+			return entry.row + " " + entry.serial + " " + entry.status;
+		});
+	};
+
+	var server = simulator.listen( 0, function(){
+		var sim = server.simulator;
+		var args = [ "nfc-client.js", "-p", "tcp://localhost:" + server.address().port, "-b", tmpl, data ];
+		var tapped = [];
+		var output = "";
+		var client = child_process.spawn( process.execPath, args, { cwd: ROOT });
+		client.stdout.on( "data", function( data ){
+			output += data;
+			if( /waiting for a tap/.test( data )) 
+			{
+				tapped.push( NDEF.Message.parse( sim.tagRead()).records[0].text );
+			}
+		});
+		var timer = setTimeout( function(){ client.kill(); }, 4000 );
+		client.on( "close", function( code ){
+			clearTimeout( timer );
+			assert.equal( code, 0, output );
+			assert.deepEqual( tapped, [ "002 b", "003 c" ]);
+			assert.ok( /Provisioning complete: 2 tags/.test( output ), output );
+			assert.deepEqual( entries(), [ "1 2 ok", "2 3 ok" ]);
+			assert.deepEqual( sim.nvm, sim.nfc );
+
+			// all done; running again does nothing
+			child_process.execFile( process.execPath, args, { cwd: ROOT, timeout: 4000 }, function( err, stdout ){
+				assert.ifError( err );
+				assert.ok( /Provisioning complete: 0 tags/.test( stdout ), stdout );
+				assert.equal( entries().length, 2 );
+				fs.rmSync( dir, { recursive: true });
+				server.close( function(){ done(); });
+			});
+		});
+	});
+};
+
+/**
+ * make the simulator store the first count messages written
+ * with a byte changed (the first byte, xor 0xff).  writes are 
+ * counted in sim.writes.
+ */
+function corrupting( sim, count )
+{
+	sim.writes = 0;
+	sim.execute = function( data ){
+		simulator.Simulator.prototype.execute.call( this, data );
+		if( data[0] != COMMAND.SET_NFC_MESSAGE && data[0] != COMMAND.SET_NVM_MESSAGE ) return;
+		var slot = ( data[0] == COMMAND.SET_NFC_MESSAGE ) ? this.nfc : this.nvm;
+		if( this.writes++ < count && slot.length ) slot[0] ^= 0xff;
+	};
+};
+
+exports["verify retries a bad write"] = function( done )
+{
+	simulated( function( connection, sim ){
+		var bytes = text( "retry" ).getBytes();
+		corrupting( sim, 1 );
+		connection.writeMessage( bytes, { verify: true, retries: 1 }, function( err, result ){
+			assert.ifError( err );
+			assert.ok( result.verified );
+			assert.equal( result.attempts, 2 );
+			assert.equal( sim.writes, 2 );
+			assert.deepEqual( sim.nfc, bytes );
+
+			// without verify, nothing is read back
+			corrupting( sim, 1 );
+			connection.writeMessage( bytes, { retries: 3 }, function( err, result ){
+				assert.ifError( err );
+				assert.ok( !result.verified );
+				assert.equal( result.attempts, 1 );
+				assert.equal( sim.writes, 1 );
+				assert.notDeepEqual( sim.nfc, bytes );
+				connection.disconnect();
+				done();
+			});
+		});
+	});
+};
+
+exports["verify fails with the difference"] = function( done )
+{
+	// flash is checked where it was loaded, in the transceiver;
+	// and the promise is rejected
+	
+	simulated( function( connection, sim ){
+		var bytes = text( "flash" ).getBytes();
+		corrupting( sim, 3 );
+		connection.writeMessage( bytes, { nvm: true, verify: true, readBack: "nfc", retries: 2 }).then( function(){
+			assert.fail( "verified" );
+		}, function( err ){
+			assert.ok( err instanceof comms.VerifyError );
+			assert.equal( err.command, COMMAND.GET_NFC_MESSAGE );
+			assert.equal( sim.writes, 3 );
+			assert.deepEqual( err.diff, { expectedLength: bytes.length, actualLength: bytes.length, count: 1, 
+				differences: [{ offset: 0, expected: bytes[0], actual: bytes[0] ^ 0xff }]});
+			assert.equal( err.message.split( "\n" )[0], "Verify failed after 3 attempts: 1 byte differs; expected " 
+				+ bytes.length + " bytes, got " + bytes.length );
+
+			// a short read back
+			sim.execute = function( data ){
+				simulator.Simulator.prototype.execute.call( this, data );
+				if( data[0] == COMMAND.SET_NFC_MESSAGE ) this.nfc.pop();
+			};
+			connection.writeMessage( bytes, { verify: true }, function( err ){
+				assert.ok( err instanceof comms.VerifyError );
+				assert.equal( err.diff.actualLength, bytes.length - 1 );
+				assert.ok( /offset \d+: expected [0-9a-f]{2}, got --$/.test( err.message ), err.message );
+				connection.disconnect();
+				done();
+			});
+		}).catch( done );
+	});
+};
+
+exports["slot reads"] = function( done )
+{
+	// bytes that aren't NDEF can be read as bytes, but not as
+	// a message; the slot defaults to nfc
+
+	simulated( function( connection, sim ){
+		sim.nfc = [ 0x01, 0x02, 0x03 ];
+		sim.nvm = text( "nvm" ).getBytes();
+		connection.readBytes( null, function( err, bytes ){
+			assert.ifError( err );
+			assert.deepEqual( bytes, [ 0x01, 0x02, 0x03 ]);
+			connection.readMessage( "NFC", function( err, message ){
+				assert.ok( err instanceof comms.NDEFParseError );
+				assert.equal( err.command, COMMAND.GET_NFC_MESSAGE );
+				assert.strictEqual( message, null );
+
+				// and the connection carries on
+				connection.readMessage( "nvm" ).then( function( message ){
+					assert.equal( message.records[0].text, "nvm" );
+					return connection.readMessage( "ram" );
+				}).then( function( message ){
+					assert.equal( message.records.length, 0 );
+					connection.disconnect();
+					done();
+				}).catch( done );
+			});
+		});
+	});
+};
+
+exports["slot lengths and comparing"] = function( done )
+{
+	simulated( function( connection, sim ){
+		sim.nfc = [ 0x01, 0x02, 0x03 ];
+		sim.nvm = [ 0x01, 0x04 ];
+		var sent = 0;
+		var write = sim.write;
+		sim.write = function( bytes ){ sent++; write.call( this, bytes ); };
+
+		connection.readLength( "nvm", function( err, length ){
+			assert.ifError( err );
+			assert.equal( length, 2 );
+
+			// names are checked before anything is sent
+			connection.readLength( "flash", function( err ){
+				assert.ok( /Unknown message slot: flash/.test( err.message ));
+				assert.equal( sent, 1 );
+
+				connection.compareSlots( "nfc", "nvm", function( err, result ){
+					assert.ifError( err );
+					assert.ok( !result.same );
+					assert.deepEqual( result.a, sim.nfc );
+					assert.deepEqual( result.b, sim.nvm );
+					assert.deepEqual( result.diff.differences, [
+						{ offset: 1, expected: 0x02, actual: 0x04 }, 
+						{ offset: 2, expected: 0x03, actual: undefined }
+					]);
+					connection.compareSlots( "nfc", "ram" ).catch( function( err ){
+						assert.fail( err );
+					}).then( function( result ){
+						assert.equal( result.diff.actualLength, 0 );
+						return connection.compareSlots( "nvm", "x" );
+					}).then( function(){
+						assert.fail( "compared" );
+					}, function( err ){
+						// nvm was read, then x failed
+						assert.ok( /Unknown message slot: x/.test( err.message ));
+						assert.equal( sent, 6 );
+						connection.disconnect();
+						done();
+					}).catch( done );
+				});
+			});
+		});
+	});
+};
+
+exports["slot queries from the command line"] = function( done )
+{
+	var server = simulator.listen( 0, function(){
+		server.simulator.nfc = [ 0x01, 0x02 ];
+		server.simulator.nvm = [ 0x01, 0x03 ];
+		var args = [ "nfc-client.js", "-p", "tcp://localhost:" + server.address().port, "--compare", "NVM", "nfc" ];
+		child_process.execFile( process.execPath, args, { cwd: ROOT, timeout: 4000 }, function( err, stdout ){
+			assert.ifError( err );
+			assert.ok( /NVM and NFC messages differ: 1 byte differs; expected 2 bytes, got 2\n  offset 1: expected 03, got 02/.test( stdout ), stdout );
+			server.close( function(){ done(); });
+		});
+	});
+};
@@ -0,0 +1,99 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * message templates: variables, alternatives and padding,
+ * serials and counters; and the data files that fill them.
+ */
+
+var assert = require("assert"),
+	Template = require("../template.js").Template,
+	template = require("../template.js");
+
+/**
+ * a template with one text record
+ */
+function text( str, options )
+{
+	return new Template([{ type: "T", args: str }], options );
+};
+
+/**
+ * render, and return the text
+ */
+function rendered( t, row )
+{
+	return t.render( row ).records[0].text;
+};
+
+exports["variables are filled in"] = function()
+{
+	var t = text( "{{name}}, {{row.name}} from {{env.PLACE}}", { env: { PLACE: "here" }});
+	assert.equal( rendered( t, { name: "tag" }), "tag, tag from here" );
+	assert.deepEqual( t.variables(), [ "name", "row.name", "env.PLACE" ]);
+
+	// dates and times
+	var json = text( "{{date}} {{time}} {{timestamp}}" ).renderJSON();
+	assert.ok( /^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d \d{4}-\d\d-\d\dT[\d:.]+Z$/.test( json[0].args ), json[0].args );
+
+	// a variable we don't have
+	assert.throws( function(){ text( "{{missing}}" ).render(); }, /Template variable not set: missing/ );
+};
+
+exports["alternatives and padding"] = function()
+{
+	var t = text( "{{env.USERNAME|env.USER|\"nobody\"}}", { env: { USER: "me" }});
+	assert.equal( rendered( t ), "me" );
+	t.env = { USERNAME: "", USER: "me" };
+	assert.equal( rendered( t ), "me" );
+	t.env = {};
+	assert.equal( rendered( t ), "nobody" );
+
+	// an empty value is used if it's the last one
+	t = text( "[{{a|b}}]" );
+	assert.equal( rendered( t, { a: "", b: "" }), "[]" );
+
+	t = text( "{{serial:6}}-{{ n:3 }}" );
+	assert.equal( rendered( t, { n: 7 }), "000001-007" );
+};
+
+exports["serials and counters move on"] = function()
+{
+	var t = text( "{{serial}} {{counter.x}} {{counter.y}}", { serial: 10, counters: { x: { start: 100, step: 5 }}});
+	assert.equal( rendered( t ), "10 100 0" );
+	assert.equal( rendered( t ), "11 105 1" );
+
+	// renderJSON doesn't count as a message
+	t.renderJSON();
+	assert.equal( rendered( t ), "12 110 2" );
+	assert.equal( t.count, 3 );
+};
+
+exports["one variable keeps its value"] = function()
+{
+	// a string that's just a variable gets the value itself,
+	// a number or an object; in a longer string, it's text
+
+	var t = new Template({ format: "ndef", version: 1, records: [
+		{ value: { type: "U", args: "{{uri}}" }, id: "{{id}}" },
+		{ value: { type: "T", args: "{{ obj }}!" }}
+	]});
+	var json = t.renderJSON({ uri: "http://abc", id: 5, obj: { a: 1 }});
+	assert.strictEqual( json.records[0].id, 5 );
+	assert.equal( json.records[1].value.args, "{\"a\":1}!" );
+
+	json = new Template({ n: "{{n}}", list: [ "{{n:2}}" ]}).renderJSON({ n: 3 });
+	assert.deepEqual( json, { n: 3, list: [ "03" ]});
+};
+
+exports["data rows"] = function()
+{
+	var rows = template.parseCSV( "\uFEFFname, uri\r\n\"a, \"\"b\"\"\",http://a\r\n\r\nc\n" );
+	assert.deepEqual( rows, [{ name: "a, \"b\"", uri: "http://a" }, { name: "c", uri: "" }]);
+	assert.deepEqual( template.parseCSV( "x\n1" ), [{ x: "1" }]);
+	assert.deepEqual( template.parseCSV( "" ), []);
+
+	rows = template.parseJSONL( "{\"a\":1}\n\n{\"a\":2}\r\n" );
+	assert.deepEqual( rows, [{ a: 1 }, { a: 2 }]);
+	assert.throws( function(){ template.parseJSONL( "{}\n{" ); }, /Invalid JSON on line 2/ );
+};
@@ -0,0 +1,156 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * wire traces: a trace recorded from a connection replays as
+ * the same events; trace files that were appended to or cut
+ * short; and frame timeouts from the gaps in a trace.
+ */
+
+var assert = require("assert"),
+	fs = require("fs"),
+	os = require("os"),
+	path = require("path"),
+	comms = require("../comms.js"),
+	NDEF = require("../ndef.js"),
+	simulator = require("../simulator.js"),
+	trace = require("../trace.js");
+
+var COMMAND = comms.COMMAND,
+	EVENT_TYPE = comms.EVENT_TYPE;
+
+/**
+ * an event as a line we can compare: the description, plus
+ * the command it answers
+ */
+function line( evt )
+{
+	return trace.describe( evt ) + ( typeof( evt.command ) == "undefined" ? "" : " [" + comms.commandName( evt.command ) + "]" );
+};
+
+exports["recorded trace replays the same events"] = function( done )
+{
+	var dir = fs.mkdtempSync( path.join( os.tmpdir(), "nfc-trace-" ));
+	var file = path.join( dir, "board.trace" );
+	var connection = new comms.Connection();
+	var sim = new simulator.Simulator();
+	var live = [];
+
+	var message = new NDEF.Message();
+	message.records.push( new NDEF.TextRecord( "J", "en" ));	// 0x4a, escaped
+
+	connection.events.on( "comms-event", function( evt ){
+		if( evt.type != EVENT_TYPE.CONNECT_EVENT ) live.push( line( evt ));
+		else if( evt.message == "Connected" ) run();
+		else if( evt.message == "Closed" ) check();
+	});
+	connection.connect( sim, { trace: file });
+
+	var run = function(){
+		connection.writeMessage( message, { verify: true }, function( err ){
+			assert.ifError( err );
+			connection.readLength( "nvm", function( err ){
+				assert.ifError( err );
+				sim.tagRead();
+				connection.request([ COMMAND.VERSION ], function( err ){
+					assert.ifError( err );
+					connection.disconnect();
+				});
+			});
+		});
+	};
+
+	var check = function(){
+		connection.stopTrace();
+		var recorded = trace.readTrace( file );
+		assert.equal( recorded.header.version, 1 );
+
+		var sent = [];
+		var events = [];
+		trace.replay( recorded.entries, function( evt, entry ){
+			if( evt.type == "sent" ) sent.push( evt.data );
+			else if( evt.type == "trace" ) events.push( evt.message );
+			else events.push( line( evt ));
+		});
+
+		// the same events, in the same order, answering the same commands
+		assert.deepEqual( events, [ "open (transport)" ].concat( live, [ "closed" ]));
+		assert.ok( events.indexOf( "< INTERRUPT read" ) > 0 );
+		assert.ok( events.indexOf( "< ACK SET_NFC_MESSAGE [SET_NFC_MESSAGE]" ) > 0 );
+
+		// and the commands, unescaped
+		var bytes = message.getBytes();
+		assert.deepEqual( sent, [
+			[ COMMAND.SET_NFC_MESSAGE, 0, bytes.length ].concat( bytes ),
+			[ COMMAND.GET_NFC_MESSAGE ],
+			[ COMMAND.GET_NVM_MESSAGE_LENGTH ],
+			[ COMMAND.VERSION ]
+		]);
+		fs.rmSync( dir, { recursive: true });
+		done();
+	};
+};
+
+exports["trace files"] = function()
+{
+	var header = "{\"trace\":\"nfc\",\"version\":1,\"start\":\"2014-01-01T00:00:00.000Z\"}\n";
+
+	// appended to: times carry on from the first part; cut short
+	// while writing the last line
+
+	var parsed = trace.parseTrace( header
+		+ "{\"t\":5,\"event\":\"open\",\"port\":\"COM3\"}\n"
+		+ "{\"t\":20,\"dir\":\"in\",\"data\":\"a10e\"}\r\n"
+		+ "\n"
+		+ header.replace( "2014", "2015" )
+		+ "{\"t\":3,\"dir\":\"out\",\"data\":\"4ae50e\"}\n"
+		+ "{\"t\":4,\"dir\":\"in\",\"da" );
+	assert.equal( parsed.header.start, "2014-01-01T00:00:00.000Z" );
+	assert.deepEqual( parsed.entries.map( function( e ){ return e.t; }), [ 5, 20, 23 ]);
+	assert.deepEqual( parsed.entries[1].data, [ 0xa1, 0x0e ]);
+	assert.equal( parsed.entries[0].port, "COM3" );
+
+	assert.throws( function(){ trace.parseTrace( header + "{\"t\":1,\n{\"t\":2}\n" ); }, /Invalid trace entry on line 2/ );
+	assert.throws( function(){ trace.parseTrace( "{\"t\":1}\n" ); }, /no header/ );
+	assert.throws( function(){ trace.parseTrace( "{\"trace\":\"other\"}\n" ); }, /Not an NFC trace/ );
+	assert.throws( function(){ trace.parseTrace( header.replace( "1,", "2," )); }, /Unsupported trace version: 2/ );
+
+	// host frames
+	assert.deepEqual( trace.unframe([ 0x4a, 0xe5, 0x54, 0xe5, 0x4a, 0xe5 ]), [ 0x54, 0x4a, 0xe5 ]);
+	assert.strictEqual( trace.unframe([ 0x4a, 0x4a ]), null );
+};
+
+exports["gaps in a trace time out frames"] = function()
+{
+	// a message that stops part way; 600ms later, a DATA frame.
+	// the same bytes close together are one frame (and a bad one)
+
+	var entries = function( gap ){
+		return trace.parseTrace( "{\"trace\":\"nfc\",\"version\":1}\n"
+			+ "{\"t\":0,\"dir\":\"in\",\"data\":\"a50008d10104\"}\n"
+			+ "{\"t\":" + gap + ",\"dir\":\"in\",\"data\":\"a20007\"}\n" ).entries;
+	};
+	var replayed = function( gap, options ){
+		var events = [];
+		var connection = trace.replay( entries( gap ), options || {}, function( evt ){ events.push( evt ); });
+		return { events: events, stats: connection.stats, inframe: connection.inframe() };
+	};
+
+	var result = replayed( 600 );
+	assert.equal( result.stats.frameTimeouts, 1 );
+	assert.equal( result.events[0].type, EVENT_TYPE.ERROR );
+	assert.ok( result.events[0].error instanceof comms.FramingError );
+	assert.equal( result.events[0].message, "Incomplete frame: no data for 500ms" );
+	assert.equal( result.events[1].type, EVENT_TYPE.DATA );
+	assert.equal( result.events[1].value, 7 );
+	assert.ok( !result.inframe );
+
+	result = replayed( 100 );
+	assert.equal( result.stats.frameTimeouts, 0 );
+	assert.ok( result.inframe );
+
+	// and the timeout can be set
+	result = replayed( 100, { frameTimeout: 50 });
+	assert.equal( result.stats.frameTimeouts, 1 );
+	assert.equal( result.events[1].value, 7 );
+};
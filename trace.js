@@ -0,0 +1,255 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * wire traces.  comms.js can record everything sent to and
+ * from the board (@see Connection.prototype.startTrace):
+ *
+ * node nfc-client.js -t board.trace
+ *
+ * this reads a trace back and feeds the inbound data through
+ * the comms parser, so you get the same events the client got,
+ * without the board.  run it directly to print them:
+ *
+ * node trace.js board.trace [-v]
+ */
+
+var fs = require("fs"),
+	comms = require("./comms.js");
+
+/**
+ * hex string -> bytes
+ */
+function fromhex( str )
+{
+	var bytes = [];
+	for( var i = 0; i + 1 < str.length; i += 2 ) bytes.push( parseInt( str.substr( i, 2 ), 16 ));
+	return bytes;
+};
+
+/**
+ * bytes -> hex, spaced
+ */
+function hex( bytes )
+{
+	var list = [];
+	for( var i = 0; i< bytes.length; i++ ) list.push(( bytes[i] < 0x10 ? "0" : "" ) + bytes[i].toString( 16 ));
+	return list.join( " " );
+};
+
+/**
+ * parse trace text.  returns { header, entries }, where entries
+ * have t (ms), and either dir ("in" or "out") and data (bytes),
+ * or event.  traces can be appended to, so there may be more
+ * than one header; times after a later header carry on from
+ * the end of the one before.
+ */
+function parseTrace( text )
+{
+	var header = null;
+	var entries = [];
+	var offset = 0;
+	var last = 0;
+	var lines = text.split( /\r?\n/ );
+
+	for( var i = 0; i< lines.length; i++ )
+	{
+		if( !lines[i].trim().length ) continue;
+		var entry;
+		try
+		{
+			entry = JSON.parse( lines[i] );
+		}
+		catch( ex )
+		{
+			// a partial line, if the process stopped while writing
+			if( i == lines.length - 1 || !lines.slice( i + 1 ).join( "" ).trim().length ) break;
+			throw( "Invalid trace entry on line " + ( i + 1 ) + ": " + ex.message );
+		}
+
+		if( typeof( entry.trace ) != "undefined" )
+		{
+			if( entry.trace != "nfc" ) throw( "Not an NFC trace" );
+			if( entry.version > 1 ) throw( "Unsupported trace version: " + entry.version );
+			if( null == header ) header = entry;
+			offset = last;
+			continue;
+		}
+		entry.t = ( entry.t || 0 ) + offset;
+		last = entry.t;
+		if( typeof( entry.data ) == "string" ) entry.data = fromhex( entry.data );
+		entries.push( entry );
+	}
+	if( null == header ) throw( "Not an NFC trace (no header)" );
+	return { header: header, entries: entries };
+};
+
+/**
+ * read a trace file, @see parseTrace
+ */
+function readTrace( path )
+{
+	return parseTrace( fs.readFileSync( path, { encoding: "utf8" }));
+};
+
+/**
+ * host frame (0x4A 0xE5, then the command and data with 0x4A
+ * escaped as 0xE5 0x4A) -> command and data.  returns null if
+ * the bytes don't start with the header.
+ */
+function unframe( bytes )
+{
+	if( bytes.length < 2 || bytes[0] != 0x4a || bytes[1] != 0xe5 ) return null;
+	var data = [];
+	for( var i = 2; i< bytes.length; i++ )
+	{
+		if( bytes[i] == 0xe5 && bytes[i+1] == 0x4a ) i++;
+		data.push( bytes[i] );
+	}
+	return data;
+};
+
+/**
+ * replay trace entries through a connection's parser, and call
+ * back with each event as callback( evt, entry ).  outbound
+ * frames are also passed, as { type: "sent", data } events, and
+ * opens and closes as { type: "trace", message }, so the output
+ * reads in order.  frame timeouts happen where the gap between 
+ * inbound chunks in the trace is longer than the connection's 
+ * frameTimeout.  returns the connection.
+ *
+ * options: { frameTimeout: ms, maxFrameLength: n } as for connect,
+ * and entry: a function called with each entry before it's used
+ */
+function replay( entries, options, callback )
+{
+	if( typeof( options ) == "function" )
+	{
+		callback = options;
+		options = {};
+	}
+	options = options || {};
+
+	var connection = new comms.Connection();
+	if( typeof( options.frameTimeout ) == "number" ) connection.frameTimeout = options.frameTimeout;
+	if( typeof( options.maxFrameLength ) == "number" ) connection.maxFrameLength = options.maxFrameLength;
+
+	// time comes from the trace, not timers
+	connection.startframetimer = function(){};
+
+	var current = null;
+	var lastInbound = 0;
+	connection.events.on( "comms-event", function( evt ){ callback( evt, current ); });
+
+	for( var i = 0; i< entries.length; i++ )
+	{
+		var entry = current = entries[i];
+		if( options.entry ) options.entry( entry );
+		if( entry.dir == "out" )
+		{
+			var data = unframe( entry.data ) || entry.data;
+			connection.replaysent( data );
+			callback({ type: "sent", data: data }, entry );
+		}
+		else if( entry.dir == "in" )
+		{
+			if( connection.inframe() && connection.frameTimeout
+				&& entry.t - lastInbound > connection.frameTimeout ) connection.frametimeout();
+			lastInbound = entry.t;
+			connection.processdata( entry.data );
+		}
+		else if( entry.event )
+		{
+			if( entry.event == "closed" ) connection.resetparser();
+			callback({ type: "trace", message: entry.event + ( entry.port ? " " + entry.port : "" ) }, entry );
+		}
+	}
+	return connection;
+};
+
+/**
+ * names for event types
+ */
+var EVENT_NAME = {};
+for( var key in comms.EVENT_TYPE ) if( key != "LAST" ) EVENT_NAME[ comms.EVENT_TYPE[key] ] = key;
+
+/**
+ * one line (or more, for messages) describing an event
+ */
+function describe( evt )
+{
+	switch( evt.type )
+	{
+	case "trace":
+		return "-- " + evt.message;
+	case "sent":
+		var str = "> " + comms.commandName( evt.data[0] );
+		if( evt.data.length > 1 ) str += " (" + ( evt.data.length - 1 ) + " bytes)";
+		return str;
+	case comms.EVENT_TYPE.ACK:
+		return "< ACK " + comms.commandName( evt.data );
+	case comms.EVENT_TYPE.DATA:
+		if( evt.command == comms.COMMAND.GET_USER_PREFS ) return "< " + JSON.stringify( comms.decodePrefs( evt.value ));
+		return "< " + ( typeof( evt.command ) != "undefined" ? comms.commandName( evt.command ) : "DATA" ) + ": " + evt.value;
+	case comms.EVENT_TYPE.VERSION:
+		return "< VERSION 0x" + ( "000" + evt.value.toString( 16 )).slice( -4 );
+	case comms.EVENT_TYPE.INTERRUPT:
+		return "< INTERRUPT" + (( evt.data & 0x02 ) ? " read" : "" ) + (( evt.data & 0x04 ) ? " write" : "" );
+	case comms.EVENT_TYPE.NDEF_MESSAGE:
+		return "< " + evt.data.toString().replace( /\n$/, "" ).replace( /\n/g, "\n    " );
+	case comms.EVENT_TYPE.ERROR:
+		return "< ERROR " + ( evt.error ? evt.error.name + ": " : "" ) + evt.message;
+	case comms.EVENT_TYPE.INFORMATION:
+		return "< ``" + evt.message + "''";
+	}
+	return "< " + ( EVENT_NAME[evt.type] || evt.type ) + ( evt.message ? " " + evt.message : "" );
+};
+
+if( typeof( exports ) != "undefined" )
+{
+	exports.parseTrace = parseTrace;
+	exports.readTrace = readTrace;
+	exports.unframe = unframe;
+	exports.replay = replay;
+	exports.describe = describe;
+	exports.fromhex = fromhex;
+}
+
+if( require.main === module )
+{
+	var path = null;
+	var raw = false;
+	for( var i = 2; i< process.argv.length; i++ )
+	{
+		if( process.argv[i] == "-v" ) raw = true;
+		else path = process.argv[i];
+	}
+	if( !path )
+	{
+		console.log( "usage: node trace.js trace-file [-v]" );
+		console.log( "-v\t also print the raw bytes" );
+		process.exit( 1 );
+	}
+
+	var trace = readTrace( path );
+	console.log( "Trace started " + trace.header.start + ", " + trace.entries.length + " entries" );
+
+	var time = function( entry ){
+		var t = "+" + entry.t + "ms";
+		while( t.length < 10 ) t += " ";
+		return t;
+	};
+	var connection = replay( trace.entries, {
+		entry: function( entry ){
+			if( raw && entry.data ) console.log( time( entry ) + ( entry.dir == "out" ? ">> " : "<< " ) + hex( entry.data ));
+		}
+	}, function( evt, entry ){
+		console.log( time( entry ) + describe( evt ));
+	});
+
+	var stats = connection.stats;
+	console.log( "Frames: " + stats.frames + ", dropped: " + stats.droppedFrames
+		+ " (" + stats.droppedBytes + " bytes), garbage bytes: " + stats.garbageBytes
+		+ ", frame timeouts: " + stats.frameTimeouts );
+	if( connection.inframe()) console.log( "Trace ends part way through a frame" );
+}
@@ -0,0 +1,147 @@
+/*!
+ * Copyright(c) 2014 SF Toolworks <info@sftoolworks.com>
+ * MIT License (http://opensource.org/licenses/MIT)
+ *
+ * transports for the comms library.  a transport is anything
+ * that looks like a serialport object:
+ *
+ * write( bytes ):	send an array (or buffer) of bytes
+ * close():		close the transport
+ *
+ * and emits events
+ *
+ * open:	when the transport is ready to write
+ * data:	inbound bytes (array or buffer)
+ * close:	when the transport is closed
+ * error:	on any error
+ *
+ * serialport is only loaded when a serial transport is used,
+ * so the other transports (and the simulator) work without it.
+ */
+
+var events = require("events"),
+	net = require("net");
+
+/** board serial settings */
+var BAUDRATE = 19200;
+
+/**
+ * array-like -> Buffer.  Buffers are returned as-is.
+ * (Buffer.from is not available in older versions of node)
+ */
+function toBuffer( bytes )
+{
+	if( Buffer.isBuffer( bytes )) return bytes;
+	return Buffer.from ? Buffer.from( bytes ) : new Buffer( bytes );
+};
+
+/**
+ * new zero-filled Buffer
+ */
+function allocBuffer( length )
+{
+	if( Buffer.alloc ) return Buffer.alloc( length );
+	var buffer = new Buffer( length );
+	buffer.fill( 0 );
+	return buffer;
+};
+
+/**
+ * open a serial port.  serialport objects already
+ * match the transport interface.
+ */
+function SerialTransport( path )
+{
+	var SerialPort = require("serialport");
+	return new SerialPort.SerialPort( path, { baudrate: BAUDRATE });
+};
+
+/**
+ * list serial ports, via serialport.  calls back as
+ * callback( err, ports ), see serialport for the format.
+ */
+function listSerialPorts( callback )
+{
+	var SerialPort = require("serialport");
+	SerialPort.list( callback );
+};
+
+/**
+ * wrap a node duplex stream (socket, pipe, &c).  if the stream
+ * is already open, pass true as the second parameter; otherwise
+ * this waits for the stream's connect event.
+ */
+function StreamTransport( stream, isOpen )
+{
+	var self = this;
+	events.EventEmitter.call( this );
+
+	this.stream = stream;
+	this.closed = false;
+
+	stream.on( "data", function( data ){ self.emit( "data", data ); });
+	stream.on( "error", function( e ){ self.emit( "error", e ); });
+	stream.on( "close", function(){ self.onclose(); });
+	stream.on( "end", function(){ self.onclose(); });
+
+	if( isOpen ) process.nextTick( function(){ self.emit( "open" ); });
+	else stream.on( "connect", function(){ self.emit( "open" ); });
+};
+StreamTransport.prototype = Object.create( events.EventEmitter.prototype );
+
+/**
+ * write bytes to the stream
+ */
+StreamTransport.prototype.write = function( bytes )
+{
+	this.stream.write( toBuffer( bytes ));
+};
+
+/**
+ * close the stream
+ */
+StreamTransport.prototype.close = function()
+{
+	this.stream.end();
+};
+
+/**
+ * streams may send end and close; only report once
+ */
+StreamTransport.prototype.onclose = function()
+{
+	if( this.closed ) return;
+	this.closed = true;
+	this.emit( "close" );
+};
+
+/**
+ * TCP transport, e.g. to a serial bridge or the simulator
+ */
+function TcpTransport( host, port )
+{
+	return new StreamTransport( net.connect( port, host ), false );
+};
+
+/**
+ * create a transport from a port name.  names like
+ * tcp://host:port open a TCP connection; anything else is
+ * treated as a serial port.
+ */
+function fromName( name )
+{
+	var match = name.match( /^tcp:\/\/([^:\/]*):(\d+)\/?$/i );
+	if( match ) return TcpTransport( match[1] || "localhost", Number( match[2] ));
+	return SerialTransport( name );
+};
+
+if( typeof( exports ) != "undefined" )
+{
+	exports.SerialTransport = SerialTransport;
+	exports.StreamTransport = StreamTransport;
+	exports.TcpTransport = TcpTransport;
+	exports.listSerialPorts = listSerialPorts;
+	exports.fromName = fromName;
+	exports.toBuffer = toBuffer;
+	exports.allocBuffer = allocBuffer;
+}